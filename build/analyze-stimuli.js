@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * analyze-stimuli.js
+ * Measures the true speech content duration of each stimulus MP3 and writes
+ * data/stimulus_durations.json for the scoring app.
+ *
+ * The green reference marker uses playback_end_ms_rel, which includes MP3
+ * padding and trailing silence. The content end is found with
+ * OnsetDetector.detectOffset (js/onset-detector.js): rolling energy,
+ * backward search from the end for the last sustained run above threshold.
+ * MP3s are decoded with ffmpeg / ffprobe from PATH (or $FFMPEG / $FFPROBE).
+ * The JSON is written exactly as the former analyze_stimuli.py wrote it.
+ *
+ * Usage:
+ *   node build/analyze-stimuli.js              # write data/stimulus_durations.json
+ *   node build/analyze-stimuli.js --compare    # diff against the committed file, write nothing
+ *   node build/analyze-stimuli.js --compare --tolerance 0.5
+ *   node build/analyze-stimuli.js --stimuli /path/to/Target_Stimuli --threshold-db -40 --frame-ms 10 --min-frames 4
+ *
+ * Also run by: node build/prepare-data.js --with-stimuli
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const OnsetDetector = require('../js/onset-detector.js');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+const DEFAULT_STIMULI_ROOT = path.resolve(SITE_ROOT, '../Experiment/L2_to_L1/Target_Stimuli');
+const OUTPUT_PATH = path.join(SITE_ROOT, 'data/stimulus_durations.json');
+const STUDY_PATH = path.join(SITE_ROOT, 'study.json');
+
+const FFMPEG = process.env.FFMPEG || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE || 'ffprobe';
+const DESCRIPTION = 'Speech content duration (ms) for each stimulus MP3. ' +
+  'Measured from file start to last sustained speech activity. ' +
+  'Used by the scoring app to correct the green reference marker.';
+
+function argValue(name, fallback) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+function stripAccents(str) {
+  return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function run(command, args) {
+  try {
+    return execFileSync(command, args, { maxBuffer: 256 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (e) {
+    if (e.code === 'ENOENT') throw new Error(`${command} not found on PATH (set FFMPEG / FFPROBE to its location)`);
+    throw new Error(`${path.basename(command)} failed: ${(e.stderr || '').toString().trim() || e.message}`);
+  }
+}
+
+/** Decode an MP3 to mono float samples at its own sample rate. */
+function decodeMp3(mp3Path) {
+  const sampleRate = parseInt(run(FFPROBE, ['-i', mp3Path, '-show_entries', 'stream=sample_rate',
+    '-v', 'quiet', '-of', 'csv=p=0']).toString().trim());
+  if (!(sampleRate > 0)) throw new Error('ffprobe found no sample rate');
+  const pcm = run(FFMPEG, ['-i', mp3Path, '-f', 'f32le', '-acodec', 'pcm_f32le', '-ac', '1', '-v', 'quiet', '-']);
+  const samples = new Float32Array(pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + pcm.length - pcm.length % 4));
+  return { samples, sampleRate };
+}
+
+/** Python's repr() of a float: 656.3, 700.0, -40.0 */
+function pyFloat(x) {
+  return Number.isInteger(x) ? x.toFixed(1) : String(x);
+}
+
+/** stimulus_durations.json text, formatted like Python's json.dump(indent=2, ensure_ascii=False). */
+function formatOutput(output) {
+  const p = output._parameters;
+  const entries = Object.entries(output.durations).map(([k, v]) => `    ${JSON.stringify(k)}: ${pyFloat(v)}`);
+  return [
+    '{',
+    `  "_generated": ${JSON.stringify(output._generated)},`,
+    `  "_description": ${JSON.stringify(output._description)},`,
+    '  "_parameters": {',
+    `    "threshold_db": ${pyFloat(p.threshold_db)},`,
+    `    "frame_ms": ${pyFloat(p.frame_ms)},`,
+    `    "min_frames": ${p.min_frames}`,
+    '  },',
+    entries.length ? `  "durations": {\n${entries.join(',\n')}\n  }` : '  "durations": {}',
+    '}'
+  ].join('\n');
+}
+
+/** Python's datetime.now(timezone.utc).isoformat() */
+function pyIsoNow() {
+  return new Date().toISOString().replace('Z', '000+00:00');
+}
+
+/**
+ * Measure every <voice>/<word>.mp3 under stimuliRoot.
+ * params: { thresholdDb, frameMs, minFrames }
+ * Returns { output (the JSON object), errors: [message] }.
+ */
+function analyzeStimuli(stimuliRoot, voices, params, log = console.log) {
+  const durations = {};
+  const errors = [];
+
+  for (const voice of voices) {
+    const voiceDir = path.join(stimuliRoot, voice);
+    if (!fs.existsSync(voiceDir)) {
+      log(`WARNING: Voice directory not found: ${voiceDir}`);
+      continue;
+    }
+    log(`── ${voice} ──`);
+    const mp3Files = fs.readdirSync(voiceDir).filter(f => f.endsWith('.mp3')).sort();
+
+    for (const mp3File of mp3Files) {
+      const key = `${voice}_${stripAccents(mp3File.replace('.mp3', ''))}`;
+      try {
+        const { samples, sampleRate } = decodeMp3(path.join(voiceDir, mp3File));
+        const totalMs = samples.length / sampleRate * 1000;
+        let { offsetMs } = OnsetDetector.detectOffset(samples, sampleRate, params);
+        if (offsetMs == null) {
+          errors.push(`${key}: no speech detected`);
+          offsetMs = totalMs;   // fallback to full duration
+        }
+        durations[key] = OnsetDetector.roundHalfEven(offsetMs * 10) / 10;
+        log(`  ${key.padEnd(25)}  content=${offsetMs.toFixed(1).padStart(7)}ms  ` +
+          `total=${totalMs.toFixed(1).padStart(7)}ms  trimmed=${(totalMs - offsetMs).toFixed(1).padStart(5)}ms  (${sampleRate}Hz)`);
+      } catch (e) {
+        errors.push(`${key}: ${e.message}`);
+        log(`  ERROR ${key}: ${e.message}`);
+      }
+    }
+  }
+
+  return {
+    output: {
+      _generated: pyIsoNow(),
+      _description: DESCRIPTION,
+      _parameters: { threshold_db: params.thresholdDb, frame_ms: params.frameMs, min_frames: params.minFrames },
+      durations
+    },
+    errors
+  };
+}
+
+/**
+ * Differences between a committed stimulus_durations.json and a new analysis.
+ * Returns [{ key, old, new }] for changed (|delta| > tolerance), added and removed keys,
+ * plus one entry per changed _parameters value (key "_parameters.<name>").
+ */
+function compareDurations(committed, output, tolerance = 0) {
+  const diffs = [];
+  const oldParams = committed._parameters || {};
+  for (const [name, value] of Object.entries(output._parameters)) {
+    if (oldParams[name] !== value) diffs.push({ key: `_parameters.${name}`, old: oldParams[name], new: value });
+  }
+  const oldDurations = committed.durations || {};
+  const keys = Array.from(new Set([...Object.keys(oldDurations), ...Object.keys(output.durations)])).sort();
+  for (const key of keys) {
+    const a = oldDurations[key];
+    const b = output.durations[key];
+    if (a == null || b == null || Math.abs(a - b) > tolerance + 1e-9) diffs.push({ key, old: a, new: b });
+  }
+  return diffs;
+}
+
+function printComparison(diffs, committedPath) {
+  if (diffs.length === 0) {
+    console.log(`\nNo differences from ${committedPath}`);
+    return;
+  }
+  console.log(`\n${diffs.length} difference(s) from ${committedPath}:`);
+  for (const d of diffs) {
+    if (d.old == null) console.log(`  + ${d.key}: ${d.new}`);
+    else if (d.new == null) console.log(`  - ${d.key}: ${d.old}`);
+    else if (typeof d.old === 'number' && typeof d.new === 'number' && !d.key.startsWith('_')) {
+      console.log(`  ~ ${d.key}: ${d.old} -> ${d.new} (${d.new - d.old > 0 ? '+' : ''}${(d.new - d.old).toFixed(1)} ms)`);
+    } else console.log(`  ~ ${d.key}: ${d.old} -> ${d.new}`);
+  }
+}
+
+/**
+ * Analyze and write (or with compare, diff against the committed file).
+ * Returns true if the file was written or matches within tolerance.
+ */
+function main(options = {}) {
+  const stimuliRoot = path.resolve(options.stimuliRoot || argValue('--stimuli', DEFAULT_STIMULI_ROOT));
+  const compare = options.compare != null ? options.compare : process.argv.includes('--compare');
+  const tolerance = parseFloat(argValue('--tolerance', '0'));
+  const params = {
+    thresholdDb: parseFloat(argValue('--threshold-db', String(OnsetDetector.DEFAULTS.thresholdDb))),
+    frameMs: parseFloat(argValue('--frame-ms', String(OnsetDetector.DEFAULTS.frameMs))),
+    minFrames: parseInt(argValue('--min-frames', String(OnsetDetector.DEFAULTS.minFrames)))
+  };
+
+  if (!fs.existsSync(stimuliRoot)) throw new Error(`Stimuli directory not found: ${stimuliRoot}`);
+  const voices = JSON.parse(fs.readFileSync(STUDY_PATH, 'utf-8')).voices;
+
+  console.log(`Stimuli root: ${stimuliRoot}`);
+  console.log(`Parameters: threshold=${pyFloat(params.thresholdDb)}dB, frame=${pyFloat(params.frameMs)}ms, min_frames=${params.minFrames}`);
+  console.log('');
+
+  const { output, errors } = analyzeStimuli(stimuliRoot, voices, params);
+  let ok = true;
+  if (compare) {
+    if (!fs.existsSync(OUTPUT_PATH)) throw new Error(`Nothing to compare with: ${OUTPUT_PATH} not found`);
+    const diffs = compareDurations(JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf-8')), output, tolerance);
+    printComparison(diffs, OUTPUT_PATH);
+    ok = diffs.length === 0;
+  } else {
+    fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+    fs.writeFileSync(OUTPUT_PATH, formatOutput(output));
+    console.log(`\nWrote ${Object.keys(output.durations).length} entries to ${OUTPUT_PATH}`);
+  }
+
+  if (errors.length > 0) {
+    console.log(`\nWarnings/Errors (${errors.length}):`);
+    errors.forEach(e => console.log(`  - ${e}`));
+  }
+  return ok;
+}
+
+module.exports = { analyzeStimuli, compareDurations, formatOutput, main };
+
+if (require.main === module) {
+  try {
+    process.exit(main() ? 0 : 1);
+  } catch (e) {
+    console.error(`ERROR: ${e.message}`);
+    process.exit(2);
+  }
+}
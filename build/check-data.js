@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * check-data.js
+ * Checks the site's data/ directory (js/data-check.js, same checks as the
+ * app's Tools → Check Dataset):
+ *
+ * 1. participants.json datasets against study.json
+ * 2. Every participant's results CSV (row errors, duplicate trials, trial count)
+ * 3. The resolved recording MP3s, stimulus images and reference audio
+ * 4. stimulus_durations.json keys (voice_word) for L2-to-L1 trials
+ *
+ * Exits with status 1 if there are errors.
+ *
+ * Usage:
+ *   node build/check-data.js                               # all datasets
+ *   node build/check-data.js --dataset immediate_l2_to_l1  # one dataset
+ *   node build/check-data.js --info                        # also list resolved ID prefixes
+ *   node build/check-data.js --json > report.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Study = require('../js/study.js');
+const DataCheck = require('../js/data-check.js');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(SITE_ROOT, 'data');
+
+function argValue(name, fallback) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+const ONLY_DATASET = argValue('--dataset', null);
+const AS_JSON = process.argv.includes('--json');
+const SHOW_INFO = process.argv.includes('--info');
+
+// Paths are relative to data/; the app requests the NFC names it builds, so compare the same way
+const fsIO = {
+  readText(rel) {
+    const file = path.join(DATA_DIR, rel);
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+  },
+  exists(rel) {
+    return fs.existsSync(path.join(DATA_DIR, rel.normalize('NFC')));
+  }
+};
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+async function main() {
+  Study.init(readJSON(path.join(SITE_ROOT, 'study.json')));
+  const index = readJSON(path.join(DATA_DIR, 'participants.json'));
+  const durationsFile = path.join(DATA_DIR, 'stimulus_durations.json');
+  const stimulusDurations = fs.existsSync(durationsFile) ? readJSON(durationsFile).durations || null : null;
+
+  const datasets = index.datasets.filter(ds => !ONLY_DATASET || ds.id === ONLY_DATASET);
+  if (datasets.length === 0) {
+    console.error(`Unknown dataset: ${ONLY_DATASET}`);
+    process.exit(2);
+  }
+
+  const results = [];
+  const indexIssues = DataCheck.checkIndex(index, Study.getDatasets())
+    .filter(i => !ONLY_DATASET || i.datasetId === ONLY_DATASET);
+  for (const ds of datasets) {
+    results.push(await DataCheck.checkDataset(ds, fsIO, {
+      trialsPerParticipant: Study.getTrialsPerParticipant(),
+      stimulusDurations
+    }));
+  }
+  const issues = indexIssues.concat(...results.map(r => r.issues));
+  const counts = DataCheck.countBySeverity(issues);
+
+  if (AS_JSON) {
+    console.log(JSON.stringify({ counts, datasets: results, indexIssues }, null, 2));
+  } else {
+    for (const r of results) {
+      console.log(`${r.datasetId}: ${r.participants} participants, ${r.trials} trials`);
+    }
+    issues.filter(i => SHOW_INFO || i.severity !== 'info').forEach(i => console.log(`  ${DataCheck.formatIssue(i)}`));
+    console.log(`\n${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} note(s)` +
+      (counts.info > 0 && !SHOW_INFO ? ' (--info to list notes)' : ''));
+  }
+  process.exit(counts.error > 0 ? 1 : 0);
+}
+
+main().catch(e => {
+  console.error(`ERROR: ${e.message}`);
+  process.exit(2);
+});
@@ -3,19 +3,44 @@
  * prepare-data.js
  * Prepares data for the Variability_Scoring GitHub Pages site.
  *
+ * Words and datasets come from study.json (js/study.js). Results CSVs are
+ * checked with js/csv-parser.js: row errors and precision loss are reported.
+ *
  * 1. Generates participants.json (minimal index)
  * 2. Copies CSV files to data/csv/
- * 3. Converts WAV→MP3 (64kbps) to data/audio/
+ * 3. Converts WAV→MP3 to data/audio/ (parallel ffmpeg processes)
  * 4. Copies stimulus images to data/images/
+ * 5. With --with-stimuli, measures stimulus durations (build/analyze-stimuli.js)
+ *
+ * Builds are incremental: data/.build-manifest.json records the content hash
+ * of each output's source (and the encoding of converted audio), so only new
+ * or changed sources are copied or converted again. Outputs whose sources
+ * disappeared are listed, and deleted with --prune.
  *
  * Usage:
  *   node build/prepare-data.js                # index + CSV + images only
  *   node build/prepare-data.js --with-audio   # also convert WAV→MP3
+ *   node build/prepare-data.js --with-audio --dry-run   # only show what would change
+ *
+ * Options:
+ *   --jobs N              parallel ffmpeg processes (default: number of CPUs)
+ *   --codec libmp3lame    ffmpeg MP3 encoder: libmp3lame or libshine (the app loads .mp3 files)
+ *   --bitrate 64k
+ *   --sample-rate 22050
+ *   --prune               delete outputs whose sources disappeared
+ *   --rebuild             convert/copy everything again
+ *   --with-stimuli        also write data/stimulus_durations.json (with --dry-run, compare it
+ *                         instead and exit with status 1 on differences)
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const os = require('os');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const Study = require('../js/study.js');
+const CsvParser = require('../js/csv-parser.js');
+const AnalyzeStimuli = require('./analyze-stimuli.js');
 
 const PROJ_ROOT = path.resolve(__dirname, '../../');
 const DATA_ROOT = path.join(PROJ_ROOT, 'Analysis/BehavioralData');
@@ -23,61 +48,37 @@ const IMAGES_SRC = path.join(PROJ_ROOT, 'Experiment/production_task/images');
 const SITE_ROOT = path.resolve(__dirname, '..');
 const DATA_OUT = path.join(SITE_ROOT, 'data');
 
-const WITH_AUDIO = process.argv.includes('--with-audio');
+const MANIFEST_PATH = path.join(DATA_OUT, '.build-manifest.json');
+const MANIFEST_VERSION = '1.0.0';
 
-// ── Word-to-English translation map ──
-const WORD_TRANSLATIONS = {
-  hongos: 'mushrooms', reloj: 'clock', tijeras: 'scissors', sandia: 'watermelon',
-  cuaderno: 'notebook', ardilla: 'squirrel', cinta: 'tape', fresas: 'strawberries',
-  tiza: 'chalk', caballo: 'horse', elote: 'corn', manzana: 'apple',
-  oso: 'bear', pato: 'duck', grapadora: 'stapler', loro: 'parrot',
-  cebolla: 'onion', lechuga: 'lettuce', lapiz: 'pencil', conejo: 'rabbit',
-  gato: 'cat', naranja: 'orange', basurero: 'trash can', pez: 'fish'
+function argValue(name, fallback) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+const WITH_AUDIO = process.argv.includes('--with-audio');
+const DRY_RUN = process.argv.includes('--dry-run');
+const PRUNE = process.argv.includes('--prune');
+const REBUILD = process.argv.includes('--rebuild');
+const WITH_STIMULI = process.argv.includes('--with-stimuli');
+const JOBS = Math.max(1, parseInt(argValue('--jobs', String(os.cpus().length))) || 1);
+// ffmpeg encoders that write MP3, the only format the app loads
+const MP3_CODECS = ['libmp3lame', 'libshine'];
+const ENCODING = {
+  codec: argValue('--codec', 'libmp3lame'),
+  bitrate: argValue('--bitrate', '64k'),
+  sampleRate: parseInt(argValue('--sample-rate', '22050'))
 };
+// Stored with each converted file; a different value means "convert again"
+const ENCODING_KEY = `${ENCODING.codec} ${ENCODING.bitrate} ${ENCODING.sampleRate}Hz`;
 
-// ── Dataset definitions ──
-const DATASETS = [
-  {
-    id: 'immediate_l2_to_l1',
-    label: 'Immediate / L2-to-L1',
-    testType: 'l2_to_l1',
-    timing: 'immediate',
-    srcDir: path.join(DATA_ROOT, 'ImmediateData', 'L2_to_L1'),
-    audioPath: 'audio/immediate/l2_to_l1',
-    csvPath: 'csv/immediate/l2_to_l1',
-    dirPrefix: 'l2_to_l1_'
-  },
-  {
-    id: 'immediate_picture_naming',
-    label: 'Immediate / Picture Naming',
-    testType: 'picture_naming',
-    timing: 'immediate',
-    srcDir: path.join(DATA_ROOT, 'ImmediateData', 'PictureNaming'),
-    audioPath: 'audio/immediate/picture_naming',
-    csvPath: 'csv/immediate/picture_naming',
-    dirPrefix: 'production_'
-  },
-  {
-    id: 'delayed_l2_to_l1',
-    label: 'Delayed / L2-to-L1',
-    testType: 'l2_to_l1',
-    timing: 'delayed',
-    srcDir: path.join(DATA_ROOT, 'DelayedData', 'L2_to_L1'),
-    audioPath: 'audio/delayed/l2_to_l1',
-    csvPath: 'csv/delayed/l2_to_l1',
-    dirPrefix: 'l2_to_l1_'
-  },
-  {
-    id: 'delayed_picture_naming',
-    label: 'Delayed / Picture Naming',
-    testType: 'picture_naming',
-    timing: 'delayed',
-    srcDir: path.join(DATA_ROOT, 'DelayedData', 'PictureNaming'),
-    audioPath: 'audio/delayed/picture_naming',
-    csvPath: 'csv/delayed/picture_naming',
-    dirPrefix: 'production_'
-  }
-];
+// ── Study definition (words, datasets) ──
+const STUDY = Study.init(JSON.parse(fs.readFileSync(path.join(SITE_ROOT, 'study.json'), 'utf-8')));
+
+const DATASETS = STUDY.datasets.map(ds => ({
+  ...ds,
+  srcDir: path.join(DATA_ROOT, ds.source)
+}));
 
 // ── Utility functions ──
 
@@ -127,34 +128,185 @@ function resolveAudioFilename(csvRecordingFile, pid, diskFileMap) {
   return csvRecordingFile; // fallback
 }
 
-function parseCSV(text) {
-  const lines = text.split('\n').filter(l => l.trim());
-  if (lines.length < 2) return [];
-  const headers = lines[0].split(',').map(h => h.trim());
-  return lines.slice(1).map(line => {
-    const values = line.split(',');
-    const row = {};
-    headers.forEach((h, i) => { row[h] = (values[i] || '').trim(); });
-    return row;
-  });
+// Parse a results CSV (js/csv-parser.js) and report its row errors and precision loss
+function readResultsCSV(csvSrc, testType) {
+  const { rows, errors, warnings } = CsvParser.parseResults(fs.readFileSync(csvSrc, 'utf-8'), testType);
+  errors.forEach(e => console.warn(`  ERROR: ${CsvParser.formatIssue(csvSrc, e)}`));
+  warnings.forEach(w => console.warn(`  WARNING: ${CsvParser.formatIssue(csvSrc, w)}`));
+  return rows;
 }
 
 function convertWavToMp3(srcWav, destMp3) {
-  const destDir = path.dirname(destMp3);
-  fs.mkdirSync(destDir, { recursive: true });
+  fs.mkdirSync(path.dirname(destMp3), { recursive: true });
+  const args = ['-v', 'error', '-i', srcWav, '-codec:a', ENCODING.codec, '-b:a', ENCODING.bitrate,
+    '-ar', String(ENCODING.sampleRate), '-y', destMp3];
+  return new Promise((resolve) => {
+    execFile('ffmpeg', args, (err, stdout, stderr) => {
+      if (err) console.warn(`  WARNING: Failed to convert ${srcWav}: ${(stderr || err.message).trim()}`);
+      resolve(!err);
+    });
+  });
+}
+
+// ── Build manifest ──
+// files: { "<path under data/>": { kind: 'copy' | 'audio', source, hash, size, mtimeMs, encoding? } }
+
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_PATH)) return null;
   try {
-    execSync(`ffmpeg -i "${srcWav}" -codec:a libmp3lame -b:a 64k -ar 22050 -y "${destMp3}" 2>/dev/null`);
-    return true;
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+    if (manifest.manifestVersion === MANIFEST_VERSION && manifest.files) return manifest;
+    console.warn(`  WARNING: ${MANIFEST_PATH}: unsupported manifestVersion, starting a new one`);
   } catch (e) {
-    console.warn(`  WARNING: Failed to convert ${srcWav}`);
-    return false;
+    console.warn(`  WARNING: ${MANIFEST_PATH} is not valid JSON, starting a new one`);
+  }
+  return null;
+}
+
+// SHA-1 of a source file; the previous hash is reused while size and mtime are unchanged
+function hashSource(src, previous) {
+  const stat = fs.statSync(src);
+  if (previous && previous.size === stat.size && previous.mtimeMs === stat.mtimeMs) {
+    return { hash: previous.hash, size: stat.size, mtimeMs: stat.mtimeMs };
+  }
+  const hash = crypto.createHash('sha1').update(fs.readFileSync(src)).digest('hex');
+  return { hash, size: stat.size, mtimeMs: stat.mtimeMs };
+}
+
+// Outputs wanted by this run: "<path under data/>" -> { kind, src }
+const outputs = new Map();
+
+function addOutput(kind, src, destRel) {
+  outputs.set(destRel.split(path.sep).join('/'), { kind, src });
+}
+
+/**
+ * Compare the wanted outputs with the manifest.
+ * Returns { actions: [{ dest, kind, src, reason, source }], unchanged, orphans }
+ * reason: 'new' | 'changed' | 'encoding' | 'rebuild' | 'adopt' (output from a build without manifest)
+ */
+function planBuild(manifest) {
+  const previous = manifest ? manifest.files : {};
+  const actions = [];
+  const unchanged = [];
+  for (const [dest, { kind, src }] of outputs) {
+    const entry = previous[dest];
+    const source = hashSource(src, entry);
+    const exists = fs.existsSync(path.join(DATA_OUT, dest));
+    let reason = null;
+    if (REBUILD) reason = 'rebuild';
+    else if (!exists) reason = 'new';
+    else if (!entry) reason = manifest ? 'new' : 'adopt';
+    else if (entry.hash !== source.hash) reason = 'changed';
+    else if (kind === 'audio' && entry.encoding !== ENCODING_KEY) reason = 'encoding';
+    if (reason) actions.push({ dest, kind, src, reason, source });
+    else unchanged.push(dest);
+  }
+  // Audio outputs are only planned with --with-audio, so only they can be orphaned then
+  const orphans = Object.keys(previous).filter(dest =>
+    !outputs.has(dest) && (WITH_AUDIO || previous[dest].kind !== 'audio'));
+  return { actions, unchanged, orphans };
+}
+
+function manifestEntry(action) {
+  return {
+    kind: action.kind,
+    source: path.relative(PROJ_ROOT, action.src).split(path.sep).join('/'),
+    ...action.source,
+    ...(action.kind === 'audio' ? { encoding: ENCODING_KEY } : {})
+  };
+}
+
+/** Run task(item) for every item with at most `limit` running at once. */
+async function runPool(items, limit, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await task(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+// Delete a pruned output and the directories it leaves empty (inside data/)
+function removeOutput(dest) {
+  const file = path.join(DATA_OUT, dest);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+  let dir = path.dirname(file);
+  while (dir.startsWith(DATA_OUT + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+function writeManifest(files) {
+  const sorted = Object.fromEntries(Object.keys(files).sort().map(k => [k, files[k]]));
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify({ manifestVersion: MANIFEST_VERSION, files: sorted }, null, 2));
+}
+
+async function build(plan, manifest) {
+  const files = { ...(manifest ? manifest.files : {}) };
+  let failed = 0;
+
+  // Outputs of an earlier build without manifest are recorded as they are
+  for (const action of plan.actions.filter(a => a.reason === 'adopt')) {
+    files[action.dest] = manifestEntry(action);
+  }
+  for (const action of plan.actions.filter(a => a.kind === 'copy' && a.reason !== 'adopt')) {
+    const destFile = path.join(DATA_OUT, action.dest);
+    fs.mkdirSync(path.dirname(destFile), { recursive: true });
+    fs.copyFileSync(action.src, destFile);
+    files[action.dest] = manifestEntry(action);
+  }
+
+  const conversions = plan.actions.filter(a => a.kind === 'audio' && a.reason !== 'adopt');
+  let done = 0;
+  await runPool(conversions, JOBS, async (action) => {
+    if (await convertWavToMp3(action.src, path.join(DATA_OUT, action.dest))) {
+      files[action.dest] = manifestEntry(action);
+    } else {
+      delete files[action.dest];   // retried next time
+      failed++;
+    }
+    done++;
+    // Saved as it goes, so an interrupted build does not convert finished files again
+    if (done % 100 === 0 || done === conversions.length) {
+      console.log(`  Converted ${done}/${conversions.length}`);
+      writeManifest(files);
+    }
+  });
+
+  if (PRUNE) {
+    for (const dest of plan.orphans) {
+      removeOutput(dest);
+      delete files[dest];
+    }
+  }
+
+  writeManifest(files);
+  return failed;
+}
+
+function printPlan(plan) {
+  const count = (kind, reason) => plan.actions.filter(a => a.kind === kind && (!reason || a.reason === reason)).length;
+  const reasons = kind => ['new', 'changed', 'encoding', 'rebuild', 'adopt']
+    .map(r => [r, count(kind, r)]).filter(([, n]) => n > 0).map(([r, n]) => `${n} ${r}`).join(', ');
+  console.log(`\n${DRY_RUN ? 'Dry run' : 'Build plan'}:`);
+  console.log(`  Copy:     ${count('copy')}${count('copy') ? ` (${reasons('copy')})` : ''}`);
+  if (WITH_AUDIO) console.log(`  Convert:  ${count('audio')}${count('audio') ? ` (${reasons('audio')})` : ''} [${ENCODING_KEY}, ${JOBS} job(s)]`);
+  console.log(`  Up to date: ${plan.unchanged.length}`);
+  console.log(`  Orphaned: ${plan.orphans.length}${plan.orphans.length && !PRUNE ? ' (run with --prune to delete)' : ''}`);
+  if (DRY_RUN) {
+    plan.actions.filter(a => a.reason === 'changed').forEach(a => console.log(`    changed  ${a.dest}`));
+    plan.orphans.forEach(dest => console.log(`    orphan   ${dest}`));
+  }
+  if (count('audio', 'adopt') + count('copy', 'adopt') > 0) {
+    console.log('  No build manifest yet: existing outputs are recorded as built from the current sources (--rebuild to redo them).');
   }
 }
 
 // ── Main processing ──
 
 function processDataset(dataset) {
-  const { srcDir, dirPrefix, csvPath, audioPath } = dataset;
+  const { srcDir, dirPrefix, csvPath, audioPath, testType } = dataset;
   const participantDirs = getParticipantDirs(srcDir, dirPrefix);
   const participantIds = [];
   let audioCount = 0;
@@ -165,22 +317,25 @@ function processDataset(dataset) {
 
     const srcDirPath = path.join(srcDir, dirName);
 
-    // Copy CSV
+    // Results CSV
     const csvFiles = fs.readdirSync(srcDirPath).filter(f => f.startsWith('results_') && f.endsWith('.csv'));
     if (csvFiles.length === 0) {
       console.warn(`  WARNING: No results CSV in ${srcDirPath}`);
       continue;
     }
     const csvSrc = path.join(srcDirPath, csvFiles[0]);
-    const csvDest = path.join(DATA_OUT, csvPath, pid, `results_${pid}.csv`);
-    fs.mkdirSync(path.dirname(csvDest), { recursive: true });
-    fs.copyFileSync(csvSrc, csvDest);
+    addOutput('copy', csvSrc, path.join(csvPath, pid, `results_${pid}.csv`));
+    const rows = readResultsCSV(csvSrc, testType);
+
+    // Words missing from study.json would be shown without glosses
+    const unknownWords = new Set(rows.map(r => stripAccents(r.word || '')).filter(w => w && !STUDY.words[w]));
+    if (unknownWords.size > 0) {
+      console.warn(`  WARNING: ${pid}: words not in study.json: ${Array.from(unknownWords).join(', ')}`);
+    }
 
-    // Convert audio files (WAV→MP3)
+    // Plan audio conversion (WAV→MP3)
     if (WITH_AUDIO) {
       const diskFileMap = buildDiskFileMap(srcDirPath, '.wav');
-      const csvText = fs.readFileSync(csvSrc, 'utf-8');
-      const rows = parseCSV(csvText);
 
       for (const row of rows) {
         const recordingFile = row.recording_file;
@@ -195,12 +350,9 @@ function processDataset(dataset) {
           .replace(/\.wav$/i, '.mp3');
         // Also fix participant ID in output filename
         const mp3NameFixed = mp3Name.replace(/^\d+/, pid);
-        const destMp3 = path.join(DATA_OUT, audioPath, pid, mp3NameFixed);
 
         if (fs.existsSync(srcWav)) {
-          if (!fs.existsSync(destMp3)) {
-            convertWavToMp3(srcWav, destMp3);
-          }
+          addOutput('audio', srcWav, path.join(audioPath, pid, mp3NameFixed));
           audioCount++;
         } else {
           console.warn(`  WARNING: Audio not found: ${srcWav}`);
@@ -212,16 +364,31 @@ function processDataset(dataset) {
   return { participantIds, audioCount };
 }
 
-function main() {
+// Stimulus content durations; a dry run only compares with the committed file.
+// Returns false if they could not be measured or (dry run) differ from it
+function analyzeStimuli() {
+  console.log('\nAnalyzing stimulus durations...');
+  try {
+    return AnalyzeStimuli.main({ compare: DRY_RUN });
+  } catch (e) {
+    console.warn(`  WARNING: ${e.message}`);
+    return false;
+  }
+}
+
+async function main() {
+  if (!MP3_CODECS.includes(ENCODING.codec)) {
+    throw new Error(`--codec must be an MP3 encoder (${MP3_CODECS.join(', ')}), got "${ENCODING.codec}"`);
+  }
+  if (!(ENCODING.sampleRate > 0)) throw new Error(`--sample-rate must be a number of Hz, got "${argValue('--sample-rate')}"`);
   console.log('Preparing data for Variability_Scoring...');
   console.log(`Source: ${DATA_ROOT}`);
   console.log(`Output: ${DATA_OUT}`);
-  console.log(`Audio conversion: ${WITH_AUDIO ? 'YES' : 'NO'}`);
+  console.log(`Audio conversion: ${WITH_AUDIO ? 'YES' : 'NO'}${DRY_RUN ? ' (dry run)' : ''}`);
   console.log('');
 
   const index = {
     version: '2.0.0',
-    words: WORD_TRANSLATIONS,
     datasets: []
   };
 
@@ -247,31 +414,34 @@ function main() {
     });
   }
 
-  // Copy images
-  console.log('\nCopying stimulus images...');
-  const imagesDestDir = path.join(DATA_OUT, 'images');
-  fs.mkdirSync(imagesDestDir, { recursive: true });
+  // Images
   const imageFiles = fs.readdirSync(IMAGES_SRC).filter(f => f.endsWith('.jpg'));
-  for (const img of imageFiles) {
-    fs.copyFileSync(path.join(IMAGES_SRC, img), path.join(imagesDestDir, img));
-  }
-  console.log(`  Copied ${imageFiles.length} images`);
+  imageFiles.forEach(img => addOutput('copy', path.join(IMAGES_SRC, img), path.join('images', img)));
+  console.log(`\nStimulus images: ${imageFiles.length}`);
 
-  // Copy reference pronunciation audio (female speaker)
-  console.log('\nCopying reference pronunciation audio...');
+  // Reference pronunciation audio (female speaker)
   const REF_AUDIO_SRC = path.join(PROJ_ROOT, 'Experiment/Audio_LDT/LDT_audio/target/female');
-  const refAudioDest = path.join(DATA_OUT, 'reference_audio');
   if (fs.existsSync(REF_AUDIO_SRC)) {
-    fs.mkdirSync(refAudioDest, { recursive: true });
     const refFiles = fs.readdirSync(REF_AUDIO_SRC).filter(f => f.endsWith('.mp3'));
-    for (const f of refFiles) {
-      fs.copyFileSync(path.join(REF_AUDIO_SRC, f), path.join(refAudioDest, f));
-    }
-    console.log(`  Copied ${refFiles.length} reference audio files`);
+    refFiles.forEach(f => addOutput('copy', path.join(REF_AUDIO_SRC, f), path.join('reference_audio', f)));
+    console.log(`Reference audio files: ${refFiles.length}`);
   } else {
     console.warn(`  WARNING: Reference audio directory not found: ${REF_AUDIO_SRC}`);
   }
 
+  const manifest = loadManifest();
+  const plan = planBuild(manifest);
+  printPlan(plan);
+  const stimuliOk = !WITH_STIMULI || analyzeStimuli();
+  if (DRY_RUN) {
+    if (!stimuliOk) process.exitCode = 1;
+    return;
+  }
+
+  const failed = await build(plan, manifest);
+  if (failed > 0) console.warn(`  WARNING: ${failed} conversion(s) failed`);
+  if (PRUNE && plan.orphans.length > 0) console.log(`  Deleted ${plan.orphans.length} orphaned output(s)`);
+
   // Write participants.json
   const indexPath = path.join(DATA_OUT, 'participants.json');
   fs.mkdirSync(path.dirname(indexPath), { recursive: true });
@@ -281,4 +451,7 @@ function main() {
   console.log(`Total: ${totalParticipants} participants, ${totalAudio} audio files`);
 }
 
-main();
+main().catch(e => {
+  console.error(`ERROR: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * sync-server.js
+ * Optional local server for multi-rater projects.
+ *
+ * 1. Serves the site (index.html, js/, css/, data/)
+ * 2. Keeps one session document per rater and dataset in --data-dir
+ * 3. Merges pushed sessions per trial (latest scoredAt wins, deletions kept as
+ *    tombstones, js/session-merge.js); ?replace=true overwrites instead (import, restore)
+ *
+ * REST API:
+ *   GET /api/health                                  -> { ok: true }
+ *   GET /api/sessions                                -> [{ raterId, datasetId, mode, lastSaved, scored }]
+ *   GET /api/sessions/:raterId/:datasetId[?mode=adjudication]  -> session (404 if none)
+ *   PUT /api/sessions/:raterId/:datasetId[?mode=adjudication][&replace=true]  -> merged (or replaced) session
+ *
+ * Usage:
+ *   node build/sync-server.js                      # http://localhost:8080
+ *   node build/sync-server.js --port 9000 --data-dir /path/to/sessions
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const SessionMerge = require('../js/session-merge.js');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+
+function argValue(name, fallback) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+const PORT = parseInt(argValue('--port', process.env.PORT || '8080'));
+const DATA_DIR = path.resolve(argValue('--data-dir', path.join(SITE_ROOT, '.sync-data')));
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+// Longest encoded rater or dataset ID (file names are limited to 255 bytes)
+const MAX_ID_LENGTH = 200;
+
+// ── Session documents ──
+
+/**
+ * Rater and dataset IDs as file names: percent-encoded, so any ID (spaces,
+ * Japanese names) is safe, and a plain ID such as "R01" keeps its name.
+ */
+function fileName(id) {
+  return encodeURIComponent(id).replace(/[*]/g, '%2A').replace(/^\./, '%2E');
+}
+
+function sessionFile(raterId, datasetId, mode) {
+  const suffix = mode === 'adjudication' ? '.adjudication' : '';
+  return path.join(DATA_DIR, fileName(raterId), `${fileName(datasetId)}${suffix}.json`);
+}
+
+function readSession(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// Write to a temp file and rename, so a crash never leaves half a document
+function writeSession(file, session) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(session, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function listSessions() {
+  if (!fs.existsSync(DATA_DIR)) return [];
+  const sessions = [];
+  for (const raterId of fs.readdirSync(DATA_DIR)) {
+    const raterDir = path.join(DATA_DIR, raterId);
+    if (!fs.statSync(raterDir).isDirectory()) continue;
+    for (const f of fs.readdirSync(raterDir).filter(f => f.endsWith('.json'))) {
+      try {
+        const s = readSession(path.join(raterDir, f));
+        sessions.push({
+          raterId: s.raterId,
+          datasetId: s.datasetId,
+          mode: s.mode || null,
+          lastSaved: s.lastSaved || null,
+          scored: Object.values(s.scores || {}).filter(x => x && x.accuracy != null).length
+        });
+      } catch (e) {
+        console.warn(`  WARNING: Skipping unreadable session ${path.join(raterDir, f)}`);
+      }
+    }
+  }
+  return sessions;
+}
+
+// ── HTTP helpers ──
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+// ── API ──
+
+async function handleApi(req, res, url) {
+  let parts;   // ['api', ...]
+  try {
+    parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    if (!(e instanceof URIError)) throw e;
+    return sendJSON(res, 400, { error: 'Malformed URL escape' });
+  }
+
+  if (parts[1] === 'health' && parts.length === 2 && req.method === 'GET') {
+    return sendJSON(res, 200, { ok: true });
+  }
+
+  if (parts[1] !== 'sessions') return sendJSON(res, 404, { error: 'Not found' });
+
+  if (parts.length === 2 && req.method === 'GET') {
+    return sendJSON(res, 200, listSessions());
+  }
+
+  if (parts.length !== 4) return sendJSON(res, 404, { error: 'Not found' });
+  const [, , raterId, datasetId] = parts;
+  if (!raterId.trim() || !datasetId.trim() ||
+      fileName(raterId).length > MAX_ID_LENGTH || fileName(datasetId).length > MAX_ID_LENGTH) {
+    return sendJSON(res, 400, { error: 'Rater or dataset ID is empty or too long' });
+  }
+  const mode = url.searchParams.get('mode') === 'adjudication' ? 'adjudication' : undefined;
+  const file = sessionFile(raterId, datasetId, mode);
+
+  if (req.method === 'GET') {
+    const session = readSession(file);
+    return session ? sendJSON(res, 200, session) : sendJSON(res, 404, { error: 'No such session' });
+  }
+
+  if (req.method === 'PUT') {
+    let incoming;
+    try {
+      incoming = JSON.parse(await readBody(req));
+    } catch (e) {
+      return sendJSON(res, 400, { error: `Invalid body: ${e.message}` });
+    }
+    if (!incoming || incoming.raterId !== raterId || incoming.datasetId !== datasetId ||
+        !incoming.scores || typeof incoming.scores !== 'object') {
+      return sendJSON(res, 400, { error: 'Body must be a session for this rater and dataset' });
+    }
+    if ((incoming.mode === 'adjudication' ? 'adjudication' : undefined) !== mode) {
+      return sendJSON(res, 400, { error: 'Session mode does not match ?mode' });
+    }
+
+    // A replace (import, restore) is authoritative; the client's flag is not stored
+    if (url.searchParams.get('replace') === 'true') {
+      delete incoming.syncReplace;
+      writeSession(file, incoming);
+      return sendJSON(res, 200, incoming);
+    }
+
+    // The pushed session's position/queue wins; stored trials only if scored later
+    const stored = readSession(file);
+    const merged = stored ? SessionMerge.mergeSessions(incoming, stored) : incoming;
+    writeSession(file, merged);
+    return sendJSON(res, 200, merged);
+  }
+
+  return sendJSON(res, 405, { error: 'Method not allowed' });
+}
+
+// ── Static files ──
+
+function serveStatic(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405);
+    return res.end();
+  }
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (e) {
+    res.writeHead(400);
+    return res.end();
+  }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+  const filePath = path.join(SITE_ROOT, pathname);
+
+  // Stay inside the site and keep dot-directories (.git, .sync-data) private
+  const rel = path.relative(SITE_ROOT, filePath);
+  if (rel.startsWith('..') || path.isAbsolute(rel) || rel.split(path.sep).some(p => p.startsWith('.'))) {
+    res.writeHead(403);
+    return res.end();
+  }
+
+  fs.stat(filePath, (err, stat) => {
+    if (err || !stat.isFile()) {
+      res.writeHead(404);
+      return res.end('Not found');
+    }
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': stat.size
+    });
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+function main() {
+  const server = http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');   // fixed base: the Host header is not trusted
+    } catch (e) {
+      res.writeHead(400);
+      return res.end();
+    }
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+      handleApi(req, res, url).catch(e => {
+        console.error(`  ERROR: ${req.method} ${url.pathname}: ${e.message}`);
+        sendJSON(res, 500, { error: e.message });
+      });
+    } else {
+      serveStatic(req, res, url);
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log('Variability_Scoring sync server');
+    console.log(`Site:     ${SITE_ROOT}`);
+    console.log(`Sessions: ${DATA_DIR}`);
+    console.log(`Open http://localhost:${PORT}/`);
+  });
+}
+
+main();
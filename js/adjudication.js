@@ -0,0 +1,207 @@
+/**
+ * adjudication.js - Consensus scoring over several raters' sessions
+ * Steps only through disagreeing trials, shows every rater's onset on the
+ * waveform, and stores the consensus as its own State session.
+ */
+const Adjudication = (() => {
+  const RATER_COLORS = [
+    'rgba(241, 196, 15, 0.9)',
+    'rgba(155, 89, 182, 0.9)',
+    'rgba(26, 188, 156, 0.9)',
+    'rgba(230, 126, 34, 0.9)',
+    'rgba(52, 152, 219, 0.9)'
+  ];
+
+  function isActive() {
+    const state = State.get();
+    return !!state && state.mode === 'adjudication';
+  }
+
+  function raterColor(index) {
+    return RATER_COLORS[index % RATER_COLORS.length];
+  }
+
+  /** The reference point (ms, or null) of each rater who scored a trial. */
+  function raterReferences(sourceRaters, scoreKey) {
+    return sourceRaters.map(r => r.scores[scoreKey]).filter(Boolean)
+      .map(sc => sc.referenceMs != null ? sc.referenceMs : null);
+  }
+
+  function allEqual(values) {
+    return values.every(v => v === values[0]);
+  }
+
+  /**
+   * Load or create the adjudicator's consensus session for the given
+   * raters, prefill trials all raters agree on, and open the scoring
+   * screen on the disagreement queue. Trials whose scores agree but whose
+   * reference points differ are queued too, for the adjudicator to pick one.
+   */
+  function start(adjudicatorId, raters, thresholdMs) {
+    const datasetId = raters[0].datasetId;
+    const sourceRaters = raters.map(r => ({ raterId: r.raterId, scores: r.scores }));
+    const items = Reliability.buildItems(sourceRaters);
+    const disagreements = Reliability.findDisagreements(items, thresholdMs);
+
+    const pids = Array.from(new Set(items.map(it => it.participantId)))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    let state = State.load(adjudicatorId, datasetId, 'adjudication');
+    if (state) {
+      state.sourceRaters = sourceRaters;
+      state.thresholdMs = thresholdMs;
+      state.assignedParticipants = Array.from(new Set([...state.assignedParticipants, ...pids]));
+      State.save();
+    } else {
+      state = State.create(adjudicatorId, datasetId, pids, {
+        mode: 'adjudication', sourceRaters, thresholdMs
+      });
+    }
+
+    // Agreed trials need no decision: carry the shared value over
+    const disagreeKeys = new Set(disagreements.map(it => it.scoreKey));
+    const referenceKeys = new Set(items.filter(it => !allEqual(raterReferences(sourceRaters, it.scoreKey)))
+      .map(it => it.scoreKey));
+    for (const it of items) {
+      if (disagreeKeys.has(it.scoreKey) || State.getScore(it.participantId, it.trial)) continue;
+      const rated = it.ratings.filter(Boolean);
+      const onsets = rated.filter(r => r.onsetMs != null).map(r => r.onsetMs);
+      const offsets = rated.filter(r => r.offsetMs != null).map(r => r.offsetMs);
+      const references = raterReferences(sourceRaters, it.scoreKey);
+      const first = Study.scoreResponse(sourceRaters[it.ratings.indexOf(rated[0])].scores[it.scoreKey]);
+      State.setScore(it.participantId, it.trial, {
+        accuracy: first.accuracy,
+        onsetMs: onsets.length ? onsets.reduce((s, v) => s + v, 0) / onsets.length : null,
+        onsetStatus: first.accuracy === 'NR' ? 'no_speech' : 'confirmed',
+        offsetMs: offsets.length ? offsets.reduce((s, v) => s + v, 0) / offsets.length : null,
+        offsetStatus: offsets.length ? 'confirmed' : null,
+        // Never averaged: differing references are left for the adjudicator
+        referenceMs: references.length > 0 && allEqual(references) ? references[0] : null,
+        notes: ''
+      }, 'prefill');
+    }
+    State.save();
+
+    const queue = items.filter(it => disagreeKeys.has(it.scoreKey) || referenceKeys.has(it.scoreKey))
+      .map(it => ({ participantId: it.participantId, trial: it.trial }));
+    App.enterAdjudication(queue);
+    return queue.length;
+  }
+
+  /** Reopen the current consensus session (e.g. after an import) on its disagreement queue. */
+  function resume() {
+    const state = State.get();
+    const raters = state.sourceRaters.map(r => ({ ...r, datasetId: state.datasetId }));
+    return start(state.raterId, raters, state.thresholdMs);
+  }
+
+  function getRaterScores(participantId, trialNum) {
+    const state = State.get();
+    if (!state || !state.sourceRaters) return [];
+    const scoreKey = `${participantId}_${trialNum}`;
+    return state.sourceRaters.map((r, i) => {
+      const score = r.scores[scoreKey];
+      return {
+        raterId: r.raterId,
+        color: raterColor(i),
+        score: Study.scoreResponse(score) || null,   // as the segment policy reads it
+        referenceMs: score && score.referenceMs != null ? score.referenceMs : null   // per trial, not per segment
+      };
+    });
+  }
+
+  function getRaterMarkers(participantId, trialNum) {
+    return getRaterScores(participantId, trialNum)
+      .filter(r => r.score && r.score.accuracy !== 'NR' && r.score.onsetMs != null)
+      .map(r => ({ label: r.raterId, ms: r.score.onsetMs, color: r.color }));
+  }
+
+  /**
+   * How the consensus value came about, for the resolution_source column:
+   * 'agreement' when raters did not disagree, 'rater:<ids>' when it matches
+   * one or more raters, 'adjudicator' when it matches none.
+   */
+  function getResolutionSource(state, participantId, trialNum, consensus) {
+    const score = Study.scoreResponse(consensus);
+    if (!state.sourceRaters || !score || score.accuracy == null) return '';
+    const scoreKey = `${participantId}_${trialNum}`;
+    const trialRaters = state.sourceRaters.map(r => ({
+      raterId: r.raterId,
+      scores: r.scores[scoreKey] ? { [scoreKey]: r.scores[scoreKey] } : {}
+    }));
+    const items = Reliability.buildItems(trialRaters);
+    if (items.length === 0) return 'adjudicator';
+    if (Reliability.findDisagreements(items, state.thresholdMs).length === 0) return 'agreement';
+
+    const matching = state.sourceRaters.filter(r => {
+      const s = Study.scoreResponse(r.scores[scoreKey]);
+      if (!s || s.accuracy !== score.accuracy) return false;
+      if (score.accuracy === 'NR') return true;
+      if (s.onsetMs == null || score.onsetMs == null) return s.onsetMs == null && score.onsetMs == null;
+      return Math.abs(s.onsetMs - score.onsetMs) <= state.thresholdMs;
+    });
+    return matching.length > 0 ? `rater:${matching.map(r => r.raterId).join('+')}` : 'adjudicator';
+  }
+
+  // ── Trial panel ──
+
+  function renderPanel(participantId, trialNum) {
+    const panel = document.getElementById('adjudication-panel');
+    const notesLabel = document.querySelector('label[for="trial-notes"]');
+    if (!isActive()) {
+      panel.style.display = 'none';
+      notesLabel.textContent = 'Notes (N):';
+      return;
+    }
+    panel.style.display = '';
+    notesLabel.textContent = 'Resolution note (N):';
+
+    const rows = getRaterScores(participantId, trialNum);
+    // Flag references that differ from the most common one (all of them when there is no single most common)
+    const scored = rows.filter(r => r.score);
+    const counts = new Map();
+    scored.forEach(r => counts.set(r.referenceMs, (counts.get(r.referenceMs) || 0) + 1));
+    const top = Math.max(0, ...counts.values());
+    const common = [...counts].filter(([, n]) => n === top).map(([ms]) => ms);
+    const isOdd = r => r.score && counts.size > 1 && !(common.length === 1 && r.referenceMs === common[0]);
+
+    const tbody = document.getElementById('adjudication-raters');
+    tbody.innerHTML = rows.map((r, i) => {
+      const s = r.score;
+      const onset = s && s.accuracy !== 'NR' && s.onsetMs != null ? s.onsetMs.toFixed(1) : '—';
+      const reference = r.referenceMs != null ? r.referenceMs.toFixed(1) : '—';
+      return `<tr>
+        <td><span class="rater-swatch" style="background:${r.color}"></span>${HtmlUtil.escapeHtml(r.raterId)}</td>
+        <td>${s && s.accuracy != null ? HtmlUtil.escapeHtml(s.accuracy) : '—'}</td>
+        <td>${onset}</td>
+        <td${isOdd(r) ? ' class="reference-differs" title="Raters used different reference points"' : ''}>${reference}</td>
+        <td>${s && s.onsetStatus ? HtmlUtil.escapeHtml(s.onsetStatus) : ''}</td>
+        <td>${s && s.notes ? HtmlUtil.escapeHtml(s.notes) : ''}</td>
+        <td>${s && s.accuracy != null ? `<button class="btn btn-sm adjudication-use" data-index="${i}">Use</button>` : ''}</td>
+      </tr>`;
+    }).join('');
+
+    tbody.querySelectorAll('.adjudication-use').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const row = rows[parseInt(btn.dataset.index)];
+        applyRaterScore(row.score, row.referenceMs);
+      });
+    });
+  }
+
+  /** Copy one rater's accuracy, onset, offset and reference point into the consensus. */
+  function applyRaterScore(score, referenceMs) {
+    if (score.accuracy !== 'NR' && score.onsetMs != null) {
+      WaveformViewer.setOnsetMarker(score.onsetMs);
+      ScoringUI.handleOnsetAction('confirmed');
+    }
+    if (score.accuracy !== 'NR' && score.offsetMs != null) {
+      WaveformViewer.setOffsetMarker(score.offsetMs);
+      ScoringUI.handleOffsetAction('confirmed');
+    }
+    ScoringUI.setReferenceOverride(referenceMs);
+    ScoringUI.setAccuracyScore(score.accuracy);
+  }
+
+  return { isActive, start, resume, getRaterMarkers, getResolutionSource, renderPanel };
+})();
@@ -9,6 +9,15 @@ const App = (() => {
   let _stimulusDurations = null;  // corrected content durations from stimulus_durations.json
 
   async function init() {
+    try {
+      await Study.load();
+    } catch (e) {
+      document.body.innerHTML = '<div style="padding:40px;color:#e74c3c;">' +
+        `<h1>Error loading study config</h1><p>${e.message}</p>` +
+        '<p>Make sure study.json exists next to index.html.</p></div>';
+      return;
+    }
+
     try {
       _index = await CsvLoader.loadIndex();
     } catch (e) {
@@ -29,19 +38,73 @@ const App = (() => {
       console.warn('stimulus_durations.json not available, using fallback marker position');
     }
 
+    await Assignment.loadPublishedPlan();
+
+    SyncClient.onStatus(showSyncStatus);
+    try {
+      await State.init();
+    } catch (e) {
+      console.error('Failed to open session storage:', e);
+      document.body.innerHTML = '<div style="padding:40px;color:#e74c3c;">' +
+        `<h1>Error opening browser storage</h1><p>${e.name || 'Error'}: ${e.message}</p>` +
+        '<p>Scores cannot be saved. Check that site data is allowed for this page (not a private window) and reload.</p></div>';
+      return;
+    }
+    State.onSaveStatus(showStorageError);
+    if (SyncClient.isEnabled() && !document.getElementById('sync-status').classList.contains('offline')) {
+      showSyncStatus('synced');
+    }
+    document.getElementById('storage-error-backup').addEventListener('click', () => Export.exportJSON());
+
     renderSetupScreen();
     setupKeyboardShortcuts();
   }
 
+  function showSyncStatus(status, message) {
+    const el = document.getElementById('sync-status');
+    el.style.display = '';
+    el.classList.toggle('offline', status === 'offline' || status === 'rejected');
+    el.textContent = {
+      synced: 'Synced to server',
+      pending: 'Syncing...',
+      offline: 'Server unreachable — saved locally',
+      rejected: `${message} — saved locally only`
+    }[status] || '';
+  }
+
+  /**
+   * Session writes failed (e.g. storage quota): keep a visible warning up and
+   * download a backup right away so no scoring is lost. Called with null once
+   * writes succeed again.
+   */
+  function showStorageError(error) {
+    const banner = document.getElementById('storage-error');
+    if (!error) {
+      banner.style.display = 'none';
+      return;
+    }
+    document.getElementById('storage-error-message').textContent =
+      `Scores could not be saved in this browser (${error.name || 'Error'}: ${error.message}). ` +
+      'A backup file has been downloaded — keep it, and free up browser storage before continuing.';
+    banner.style.display = 'flex';
+    Export.exportJSON();
+  }
+
   function getIndex() { return _index; }
 
   // ── Setup Screen ──
 
   let _setupListenersAttached = false;
 
+  /** Show one top-level .screen and hide the others. */
+  function showScreen(id) {
+    document.querySelectorAll('.screen').forEach(el => {
+      el.style.display = el.id === id ? '' : 'none';
+    });
+  }
+
   function renderSetupScreen() {
-    document.getElementById('setup-screen').style.display = '';
-    document.getElementById('scoring-screen').style.display = 'none';
+    showScreen('setup-screen');
 
     // Dataset selector
     const dsContainer = document.getElementById('dataset-selector');
@@ -73,17 +136,39 @@ const App = (() => {
       });
 
       document.getElementById('rater-id').addEventListener('input', () => {
+        applyAssignment();
         checkResume();
         updateStartButton();
       });
 
       document.getElementById('start-btn').addEventListener('click', startScoring);
       document.getElementById('resume-btn').addEventListener('click', resumeScoring);
+      document.getElementById('show-snapshots').addEventListener('click', renderSnapshotList);
+      document.getElementById('open-reliability').addEventListener('click', () => Reliability.show());
+      document.getElementById('open-assignment').addEventListener('click', () => Assignment.show());
+      document.getElementById('open-batch-redetect').addEventListener('click', () => BatchRedetect.show(getSelectedDatasetId()));
+      document.getElementById('open-data-check').addEventListener('click', () => DataCheck.show(getSelectedDatasetId()));
+      document.getElementById('import-session').addEventListener('click', () => {
+        document.getElementById('import-session-file').click();
+      });
+      document.getElementById('import-session-file').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) SessionImport.open(e.target.files[0]);
+        e.target.value = '';
+      });
     }
 
     checkResume();
   }
 
+  /** Point the setup screen at a rater's session for a dataset (e.g. after an import). */
+  function selectSession(raterId, dsId) {
+    document.getElementById('rater-id').value = raterId;
+    const radio = document.querySelector(`input[name="dataset"][value="${dsId}"]`);
+    if (radio) radio.checked = true;
+    renderParticipantSelector();
+    checkResume();
+  }
+
   function renderParticipantSelector() {
     const dsId = getSelectedDatasetId();
     const ds = _index.datasets.find(d => d.id === dsId);
@@ -101,6 +186,22 @@ const App = (() => {
     document.getElementById('participant-count').textContent = ds.participants.length;
 
     container.addEventListener('change', updateStartButton);
+    applyAssignment();
+    updateStartButton();
+  }
+
+  /** Pre-select the participants the assignment plan gives the entered rater for this dataset. */
+  function applyAssignment() {
+    const note = document.getElementById('assignment-note');
+    const raterId = document.getElementById('rater-id').value.trim();
+    const assigned = raterId ? Assignment.getAssignedParticipants(raterId, getSelectedDatasetId()) : null;
+    if (!assigned) {
+      note.textContent = '';
+      return;
+    }
+    const ids = new Set(assigned);
+    document.querySelectorAll('#participant-selector input').forEach(cb => { cb.checked = ids.has(cb.value); });
+    note.textContent = `${assigned.length} participant(s) pre-selected from the assignment plan for ${raterId}.`;
     updateStartButton();
   }
 
@@ -124,6 +225,8 @@ const App = (() => {
     const raterId = document.getElementById('rater-id').value.trim();
     const dsId = getSelectedDatasetId();
     const resumeSection = document.getElementById('resume-section');
+    const resumeBtn = document.getElementById('resume-btn');
+    document.getElementById('snapshot-list').style.display = 'none';
 
     if (!raterId || !dsId) {
       resumeSection.style.display = 'none';
@@ -132,16 +235,64 @@ const App = (() => {
 
     const existing = State.load(raterId, dsId);
     if (existing) {
-      const scored = Object.values(existing.scores).filter(s => s.accuracy != null).length;
+      const scored = Object.values(existing.scores).filter(Study.isScored).length;
       document.getElementById('resume-info').textContent =
         `${scored} trials scored across ${existing.assignedParticipants.length} participants. ` +
         `Last saved: ${new Date(existing.lastSaved).toLocaleString()}`;
+      resumeBtn.style.display = '';
+      resumeSection.style.display = 'block';
+    } else if (State.hasSession(raterId, dsId)) {
+      document.getElementById('resume-info').textContent =
+        'The saved session could not be read. Restore an earlier version below.';
+      resumeBtn.style.display = 'none';
       resumeSection.style.display = 'block';
+      renderSnapshotList();
     } else {
       resumeSection.style.display = 'none';
     }
   }
 
+  async function renderSnapshotList() {
+    const raterId = document.getElementById('rater-id').value.trim();
+    const dsId = getSelectedDatasetId();
+    const listEl = document.getElementById('snapshot-list');
+    listEl.style.display = 'block';
+    listEl.textContent = 'Loading...';
+
+    let snapshots = [];
+    try {
+      snapshots = await State.listSnapshots(raterId, dsId);
+    } catch (e) {
+      console.error('Failed to list snapshots:', e);
+    }
+    if (snapshots.length === 0) {
+      listEl.textContent = 'No earlier versions are stored for this session.';
+      return;
+    }
+
+    listEl.innerHTML = snapshots.map(snap => {
+      const scores = (snap.data && snap.data.scores) || {};
+      const scored = Object.values(scores).filter(Study.isScored).length;
+      return `<div class="snapshot-row">
+        <span>${new Date(snap.takenAt).toLocaleString()} — ${scored} trials scored</span>
+        <button class="btn btn-sm" data-snapshot="${snap.id}">Restore</button>
+      </div>`;
+    }).join('');
+
+    listEl.querySelectorAll('[data-snapshot]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Replace the saved session with this earlier version? The current version is kept as a snapshot.')) return;
+        try {
+          await State.restoreSnapshot(parseInt(btn.dataset.snapshot), raterId, dsId);
+        } catch (e) {
+          alert(`Restore failed: ${e.message}`);
+          return;
+        }
+        checkResume();
+      });
+    });
+  }
+
   // ── Start / Resume ──
 
   function startScoring() {
@@ -157,31 +308,100 @@ const App = (() => {
     const state = State.get();
     if (!state) return;
 
+    const queue = state.queue;
     enterScoringScreen(
       state.datasetId,
       state.assignedParticipants,
       state.currentParticipantIndex,
-      state.currentTrialIndex
+      state.currentTrialIndex,
+      queue ? { queue: queue.items, queueMeta: queue, queuePosition: queue.position } : {}
     );
   }
 
+  /**
+   * Open a specific trial (by original trial number) in the scoring screen
+   * for the Rater ID entered on the setup screen. Creates or extends that
+   * rater's session as needed. Returns false if no Rater ID is set.
+   */
+  function openTrial(dsId, participantId, trialNum) {
+    const state = loadSessionFor(dsId, [participantId]);
+    if (!state) return false;
+
+    const pIndex = state.assignedParticipants.indexOf(participantId);
+    enterScoringScreen(dsId, state.assignedParticipants, pIndex, 0, { trialNum });
+    return true;
+  }
+
+  /**
+   * Open the scoring screen on a queue of trials ([{ participantId, trial }])
+   * for the Rater ID entered on the setup screen.
+   */
+  function openQueue(dsId, queue) {
+    if (queue.length === 0) return false;
+    const state = loadSessionFor(dsId, queue.map(q => q.participantId));
+    if (!state) return false;
+
+    enterScoringScreen(dsId, state.assignedParticipants, 0, 0, { queue });
+    return true;
+  }
+
+  /**
+   * Load (or create) the setup-screen rater's session for a dataset and make
+   * sure it covers the given participants. Returns null without a Rater ID.
+   */
+  function loadSessionFor(dsId, participantIds) {
+    const raterId = document.getElementById('rater-id').value.trim();
+    if (!raterId) return null;
+
+    let state = State.load(raterId, dsId);
+    if (!state) {
+      const ds = _index.datasets.find(d => d.id === dsId);
+      state = State.create(raterId, dsId, ds ? ds.participants.slice() : participantIds.slice());
+    }
+    const missing = participantIds.filter(pid => !state.assignedParticipants.includes(pid));
+    if (missing.length > 0) {
+      state.assignedParticipants.push(...new Set(missing));
+      State.save();
+    }
+    return state;
+  }
+
+  /**
+   * Enter the scoring screen for an adjudication session already loaded
+   * in State, stepping only through the given queue of trials.
+   */
+  function enterAdjudication(queue) {
+    const state = State.get();
+    if (!state) return;
+    enterScoringScreen(state.datasetId, state.assignedParticipants, 0, 0, { queue });
+  }
+
   let _scoringListenersAttached = false;
 
-  function enterScoringScreen(dsId, participantIds, startPIndex, startTIndex) {
-    document.getElementById('setup-screen').style.display = 'none';
-    document.getElementById('scoring-screen').style.display = '';
+  /**
+   * options.trialNum: open this original trial number of the start participant.
+   * options.queue:    restrict navigation to [{ participantId, trial }],
+   *                   starting at options.queuePosition (filters etc. in options.queueMeta).
+   */
+  function enterScoringScreen(dsId, participantIds, startPIndex, startTIndex, options = {}) {
+    showScreen('scoring-screen');
 
     const dataset = _index.datasets.find(d => d.id === dsId);
     _currentDataset = dataset;
 
     // Dataset label
-    document.getElementById('dataset-label').textContent = dataset.label;
+    document.getElementById('dataset-label').textContent =
+      Adjudication.isActive() ? `${dataset.label} — Adjudication` : dataset.label;
 
     // Init waveform
     WaveformViewer.init();
     WaveformViewer.onOnsetChanged((ms, source) => {
       ScoringUI.handleOnsetAction(source);
     });
+    WaveformViewer.onOffsetChanged((ms, source) => {
+      ScoringUI.handleOffsetAction(source);
+    });
+    WaveformViewer.onReferenceChanged(ms => ScoringUI.setReferenceOverride(ms));
 
     if (!_scoringListenersAttached) {
       _scoringListenersAttached = true;
@@ -209,10 +429,32 @@ const App = (() => {
         WaveformViewer.setPlaybackRate(parseFloat(e.target.value));
       });
 
+      // Spectrogram controls
+      const specOptions = WaveformViewer.getSpectrogramOptions();
+      document.getElementById('spectrogram-window').value = String(specOptions.windowMs);
+      document.getElementById('spectrogram-range').value = String(specOptions.rangeDb);
+      document.getElementById('spectrogram-toggle').addEventListener('click', () => WaveformViewer.toggleSpectrogram());
+      document.getElementById('spectrogram-window').addEventListener('change', (e) => {
+        WaveformViewer.setSpectrogramOptions({ windowMs: parseFloat(e.target.value) });
+      });
+      document.getElementById('spectrogram-range').addEventListener('change', (e) => {
+        WaveformViewer.setSpectrogramOptions({ rangeDb: parseFloat(e.target.value) });
+      });
+
       // Export buttons
       document.getElementById('export-csv').addEventListener('click', () => Export.exportAllCSV(_currentDataset));
       document.getElementById('export-json').addEventListener('click', () => Export.exportJSON());
       document.getElementById('export-participant').addEventListener('click', () => Export.exportCurrentParticipant(_currentDataset));
+      const policySelect = document.getElementById('export-segment-policy');
+      policySelect.innerHTML = Study.SEGMENT_POLICIES.map(p => `<option value="${p.id}">${p.label}</option>`).join('');
+      policySelect.value = Study.getSegmentPolicy();
+      policySelect.addEventListener('change', () => {
+        Study.setSegmentPolicy(policySelect.value);
+        ScoringUI.renderSegments();
+      });
+
+      document.getElementById('open-queue-builder').addEventListener('click', () => QueueBuilder.open(_currentDataset));
+      document.getElementById('open-trial-grid').addEventListener('click', () => TrialGrid.toggle(_currentDataset));
 
       // Reference pronunciation button
       document.getElementById('play-reference').addEventListener('click', () => ScoringUI.playReference());
@@ -234,9 +476,19 @@ const App = (() => {
 
     // Clamp indices
     const safePIndex = Math.min(startPIndex, participantIds.length - 1);
-    const safeTIndex = Math.min(startTIndex, 23);
-
-    Navigation.navigate(safePIndex, safeTIndex);
+    const safeTIndex = Math.min(startTIndex, Study.getTrialsPerParticipant() - 1);
+
+    if (options.queue && options.queue.length > 0) {
+      const { items, position, ...meta } = options.queueMeta || {};
+      Navigation.setQueue(options.queue, meta, options.queuePosition || 0);
+      Navigation.navigateQueue(Navigation.getQueuePosition());
+    } else if (options.trialNum != null) {
+      Navigation.setQueue(null);
+      Navigation.navigateToTrial(participantIds[safePIndex], options.trialNum);
+    } else {
+      Navigation.setQueue(null);
+      Navigation.navigate(safePIndex, safeTIndex);
+    }
   }
 
   async function loadTrial(dataset, participant, trial) {
@@ -244,9 +496,11 @@ const App = (() => {
 
     // Render scoring UI
     ScoringUI.renderTrial(trial, participant, dataset);
+    Adjudication.renderPanel(participant.id, trial.trial);
 
-    // Clear onset display immediately
+    // Clear onset/offset display immediately
     WaveformViewer.updateOnsetDisplay(null);
+    WaveformViewer.updateOffsetDisplay(null);
 
     // Load audio
     const audioUrl = Navigation.getAudioUrl(trial);
@@ -255,6 +509,9 @@ const App = (() => {
 
       if (generation !== _loadGeneration) return;
 
+      const audio = WaveformViewer.getDecodedAudio();
+      if (audio) ScoringUI.renderQuality(AudioQuality.analyzeLoaded(dataset, participant.id, trial, audio));
+
       // Set onset marker
       const existingScore = State.getScore(participant.id, trial.trial);
       if (existingScore && existingScore.onsetMs != null) {
@@ -265,21 +522,24 @@ const App = (() => {
         WaveformViewer.updateOnsetDisplay(null);
       }
 
-      // Reference marker (playback end for L2-to-L1)
-      if (dataset.testType === 'l2_to_l1' && trial.playback_end_ms_rel != null) {
-        let markerMs = trial.playback_end_ms_rel;
-
-        // Correct for MP3 padding using pre-analyzed content durations
-        if (_stimulusDurations && trial.stimulus_duration_ms != null) {
-          const durationKey = `${trial.voice}_${trial.wordNormalized}`;
-          const contentDurationMs = _stimulusDurations[durationKey];
-          if (contentDurationMs != null) {
-            const playbackStartRel = trial.playback_end_ms_rel - trial.stimulus_duration_ms;
-            markerMs = playbackStartRel + contentDurationMs;
-          }
-        }
+      // Set offset marker (auto-detected after the onset unless the rater has set one)
+      const autoOffsetMs = audio ? ScoringUI.detectAutoOffset(audio) : null;
+      if (existingScore && existingScore.offsetMs != null) {
+        WaveformViewer.setOffsetMarker(existingScore.offsetMs);
+      } else if (autoOffsetMs != null) {
+        WaveformViewer.setOffsetMarker(autoOffsetMs);
+      }
+      ScoringUI.renderResponseDuration();
 
-        WaveformViewer.setReferenceMarker(markerMs);
+      // Response segments (drawn after loading, which clears the regions)
+      ScoringUI.renderSegments();
+
+      // Reference marker (corrected playback end or the rater's override, L2-to-L1)
+      ScoringUI.renderReference();
+
+      // Each source rater's onset (adjudication sessions only)
+      if (Adjudication.isActive()) {
+        WaveformViewer.setRaterMarkers(Adjudication.getRaterMarkers(participant.id, trial.trial));
       }
     } catch (e) {
       if (generation === _loadGeneration) {
@@ -317,24 +577,21 @@ const App = (() => {
 
       if (document.getElementById('scoring-screen').style.display === 'none') return;
 
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+        e.preventDefault();
+        undoScoreEdit(e.shiftKey);
+        return;
+      }
+
+      // Score hotkeys come from the study's score scale
+      if (!e.ctrlKey && !e.metaKey && !e.altKey && ScoringUI.scoreByKey(e.key)) return;
+
       switch (e.key) {
         case ' ':
           e.preventDefault();
           WaveformViewer.play();
           updatePlayButton();
           break;
-        case '9':
-          ScoringUI.scoreByKey('9');
-          break;
-        case '0':
-          ScoringUI.scoreByKey('0');
-          break;
-        case '5':
-          ScoringUI.scoreByKey('5');
-          break;
-        case '1':
-          ScoringUI.scoreByKey('1');
-          break;
         case 'ArrowRight':
         case 'Enter':
           e.preventDefault();
@@ -348,6 +605,10 @@ const App = (() => {
         case 'C':
           ScoringUI.confirmOnset();
           break;
+        case 'o':
+        case 'O':
+          ScoringUI.confirmOffset();
+          break;
         case 'r':
         case 'R':
           WaveformViewer.playFromOnset();
@@ -357,6 +618,11 @@ const App = (() => {
         case 'N':
           document.getElementById('trial-notes').focus();
           break;
+        case 't':
+        case 'T':
+          e.preventDefault();
+          document.getElementById('trial-transcription').focus();
+          break;
         case 'i':
         case 'I':
           Instructions.toggle();
@@ -368,6 +634,18 @@ const App = (() => {
         case '-':
           WaveformViewer.zoomOut();
           break;
+        case 's':
+        case 'S':
+          WaveformViewer.toggleSpectrogram();
+          break;
+        case 'q':
+        case 'Q':
+          QueueBuilder.open(_currentDataset);
+          break;
+        case 'g':
+        case 'G':
+          TrialGrid.toggle(_currentDataset);
+          break;
         case '?':
           toggleShortcutsPanel();
           break;
@@ -375,6 +653,15 @@ const App = (() => {
     });
   }
 
+  /** Undo (or redo) the latest score edit and show the trial it touched. */
+  async function undoScoreEdit(isRedo) {
+    const target = isRedo ? State.redo() : State.undo();
+    if (!target) return;
+    await Navigation.navigateToTrial(target.participantId, target.trial);
+    Navigation.updateProgress();
+    showSaveStatus();
+  }
+
   function toggleShortcutsPanel() {
     const panel = document.getElementById('shortcuts-panel');
     panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
@@ -385,5 +672,8 @@ const App = (() => {
   // ── Init ──
   document.addEventListener('DOMContentLoaded', init);
 
-  return { getIndex, getStimulusDurations };
+  return {
+    getIndex, getStimulusDurations, showScreen, renderSetupScreen, selectSession,
+    openTrial, openQueue, enterAdjudication
+  };
 })();
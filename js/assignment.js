@@ -0,0 +1,252 @@
+/**
+ * assignment.js - Coordinator view: participant-to-rater assignment plans
+ * Every participant in participants.json gets N raters; an overlap share of
+ * each dataset's participants gets one extra rater for reliability. Rater
+ * workload is balanced within each dataset and across datasets.
+ * The setup screen pre-selects a rater's participants from the active plan.
+ */
+const Assignment = (() => {
+  const PLAN_VERSION = '1.0.0';
+  const PLAN_URL = 'data/assignment_plan.json';
+  // Not under the vocabScorer_ prefix, which State treats as sessions
+  const LOCAL_PLAN_KEY = 'vocabScorerPrefs_assignmentPlan';
+
+  let _plan = null;          // plan shown in the coordinator view
+  let _publishedPlan = null; // data/assignment_plan.json, if deployed
+  let _initialized = false;
+
+  /** Load the deployed plan (optional file next to participants.json). */
+  async function loadPublishedPlan() {
+    try {
+      const resp = await fetch(PLAN_URL, { cache: 'no-store' });
+      if (resp.ok) _publishedPlan = validatePlan(await resp.json(), PLAN_URL);
+    } catch (e) {
+      console.warn('assignment_plan.json not usable:', e);
+    }
+  }
+
+  /** The plan used on the setup screen: one saved on this computer, else the deployed one. */
+  function getActivePlan() {
+    try {
+      const local = localStorage.getItem(LOCAL_PLAN_KEY);
+      if (local) return validatePlan(JSON.parse(local), LOCAL_PLAN_KEY);
+    } catch (e) { /* fall through */ }
+    return _publishedPlan;
+  }
+
+  /** Participant IDs assigned to a rater for a dataset, or null if the plan does not cover them. */
+  function getAssignedParticipants(raterId, datasetId) {
+    const plan = getActivePlan();
+    if (!plan || !plan.assignments[datasetId]) return null;
+    return plan.assignments[datasetId][raterId] || null;
+  }
+
+  // ── Plan generation ──
+
+  /** Evenly spaced indices: k of n, deterministic so a plan can be regenerated. */
+  function spreadIndices(n, k) {
+    const picked = new Set();
+    for (let i = 0; i < k; i++) picked.add(Math.floor((i + 0.5) * n / k));
+    return picked;
+  }
+
+  /**
+   * Build a plan.
+   * datasets: [{ id, participants }] (participants.json order)
+   * Returns { planVersion, createdAt, raters, ratersPerParticipant, overlapPercent,
+   *           assignments: { datasetId: { raterId: [pid] } }, overlap: { datasetId: [pid] } }
+   */
+  function generatePlan(datasets, raters, ratersPerParticipant, overlapPercent) {
+    const n = Math.min(ratersPerParticipant, raters.length);
+    const withOverlap = Math.min(n + 1, raters.length);
+    const totalLoad = new Map(raters.map(r => [r, 0]));
+    const plan = {
+      planVersion: PLAN_VERSION,
+      createdAt: new Date().toISOString(),
+      raters: raters.slice(),
+      ratersPerParticipant: n,
+      overlapPercent,
+      assignments: {},
+      overlap: {}
+    };
+
+    for (const ds of datasets) {
+      const pids = ds.participants;
+      const overlapIdx = withOverlap > n
+        ? spreadIndices(pids.length, Math.round(pids.length * overlapPercent / 100))
+        : new Set();
+      const dsLoad = new Map(raters.map(r => [r, 0]));
+      const assignments = Object.fromEntries(raters.map(r => [r, []]));
+      plan.overlap[ds.id] = [];
+
+      pids.forEach((pid, i) => {
+        const count = overlapIdx.has(i) ? withOverlap : n;
+        // Least loaded in this dataset first, then overall, then roster order
+        const chosen = raters.slice()
+          .sort((a, b) => dsLoad.get(a) - dsLoad.get(b) ||
+            totalLoad.get(a) - totalLoad.get(b) ||
+            raters.indexOf(a) - raters.indexOf(b))
+          .slice(0, count);
+        for (const r of chosen) {
+          assignments[r].push(pid);
+          dsLoad.set(r, dsLoad.get(r) + 1);
+          totalLoad.set(r, totalLoad.get(r) + 1);
+        }
+        if (count > 1) plan.overlap[ds.id].push(pid);
+      });
+      plan.assignments[ds.id] = assignments;
+    }
+    return plan;
+  }
+
+  /** Check a loaded plan file. Throws with a readable message. */
+  function validatePlan(plan, fileName) {
+    if (!plan || plan.planVersion !== PLAN_VERSION) {
+      throw new Error(`${fileName}: unsupported planVersion "${plan && plan.planVersion}"`);
+    }
+    if (!Array.isArray(plan.raters) || !plan.assignments || typeof plan.assignments !== 'object') {
+      throw new Error(`${fileName}: missing raters or assignments`);
+    }
+    return plan;
+  }
+
+  // ── Coordinator view ──
+
+  function init() {
+    if (_initialized) return;
+    _initialized = true;
+
+    document.getElementById('assignment-back').addEventListener('click', () => App.renderSetupScreen());
+    document.getElementById('assignment-generate').addEventListener('click', generate);
+    document.getElementById('assignment-download').addEventListener('click', downloadPlan);
+    document.getElementById('assignment-download-csv').addEventListener('click', downloadCSV);
+    document.getElementById('assignment-use').addEventListener('click', useHere);
+    document.getElementById('assignment-clear-local').addEventListener('click', () => {
+      localStorage.removeItem(LOCAL_PLAN_KEY);
+      setStatus(_publishedPlan ? `Using ${PLAN_URL} on this computer.` : 'No plan is active on this computer.');
+    });
+    document.getElementById('assignment-file').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      try {
+        _plan = validatePlan(JSON.parse(await file.text()), file.name);
+        fillForm(_plan);
+        setStatus(`Loaded ${file.name}.`);
+      } catch (err) {
+        setStatus(err instanceof SyntaxError ? `${file.name}: not valid JSON` : err.message, true);
+      }
+      render();
+    });
+  }
+
+  function show() {
+    init();
+    App.showScreen('assignment-screen');
+    _plan = _plan || getActivePlan();
+    if (_plan) fillForm(_plan);
+    render();
+  }
+
+  function fillForm(plan) {
+    document.getElementById('assignment-raters').value = plan.raters.join('\n');
+    document.getElementById('assignment-n').value = plan.ratersPerParticipant;
+    document.getElementById('assignment-overlap').value = plan.overlapPercent;
+  }
+
+  function setStatus(msg, isError) {
+    const el = document.getElementById('assignment-status');
+    el.textContent = msg;
+    el.style.color = isError ? 'var(--danger)' : 'var(--text-muted)';
+  }
+
+  function generate() {
+    const raters = Array.from(new Set(
+      document.getElementById('assignment-raters').value.split(/[\s,]+/).map(r => r.trim()).filter(Boolean)
+    ));
+    const n = parseInt(document.getElementById('assignment-n').value);
+    const overlap = parseFloat(document.getElementById('assignment-overlap').value);
+
+    if (raters.length === 0) return setStatus('Enter at least one Rater ID.', true);
+    if (isNaN(n) || n < 1) return setStatus('Raters per participant must be at least 1.', true);
+    if (isNaN(overlap) || overlap < 0 || overlap > 100) return setStatus('Overlap must be between 0 and 100%.', true);
+
+    _plan = generatePlan(App.getIndex().datasets, raters, n, overlap);
+    const notes = [];
+    if (n > raters.length) notes.push(`Only ${raters.length} rater(s): each participant gets ${raters.length}.`);
+    if (overlap > 0 && n >= raters.length) notes.push('No overlap possible: every rater already scores every participant.');
+    setStatus(notes.length ? notes.join('\n') : 'Plan generated.');
+    render();
+  }
+
+  function planRows(plan) {
+    const rows = [];
+    for (const [datasetId, byRater] of Object.entries(plan.assignments)) {
+      const overlap = new Set(plan.overlap[datasetId] || []);
+      for (const [raterId, pids] of Object.entries(byRater)) {
+        pids.forEach(pid => rows.push({
+          rater_id: raterId,
+          dataset: datasetId,
+          participant_id: pid,
+          overlap: overlap.has(pid) ? 1 : 0
+        }));
+      }
+    }
+    return rows;
+  }
+
+  function downloadPlan() {
+    if (!_plan) return;
+    const blob = new Blob([JSON.stringify(_plan, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'assignment_plan.json';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  function downloadCSV() {
+    if (_plan) Export.downloadRowsCSV(planRows(_plan), 'assignment_plan.csv');
+  }
+
+  function useHere() {
+    if (!_plan) return;
+    localStorage.setItem(LOCAL_PLAN_KEY, JSON.stringify(_plan));
+    setStatus('This plan will pre-select participants on the setup screen of this computer.');
+  }
+
+  function render() {
+    ['assignment-download', 'assignment-download-csv', 'assignment-use'].forEach(id => {
+      document.getElementById(id).disabled = !_plan;
+    });
+    const results = document.getElementById('assignment-results');
+    if (!_plan) {
+      results.innerHTML = '<p class="muted">Enter the Rater IDs and generate a plan, or load a plan file.</p>';
+      return;
+    }
+
+    let html = `<h3>Workload</h3><table class="data-table"><tr><th>Rater</th>
+      ${Object.keys(_plan.assignments).map(ds => `<th>${HtmlUtil.escapeHtml(ds)}</th>`).join('')}<th>Total</th></tr>`;
+    for (const r of _plan.raters) {
+      const counts = Object.values(_plan.assignments).map(byRater => (byRater[r] || []).length);
+      html += `<tr><td>${HtmlUtil.escapeHtml(r)}</td>${counts.map(c => `<td>${c}</td>`).join('')}<td>${counts.reduce((s, c) => s + c, 0)}</td></tr>`;
+    }
+    html += '</table>';
+
+    for (const [datasetId, byRater] of Object.entries(_plan.assignments)) {
+      const overlap = new Set(_plan.overlap[datasetId] || []);
+      html += `<h3>${HtmlUtil.escapeHtml(datasetId)} <span class="muted">(${overlap.size} overlap participant(s), marked *)</span></h3>
+        <table class="data-table"><tr><th>Rater</th><th>Participants</th></tr>`;
+      for (const [raterId, pids] of Object.entries(byRater)) {
+        html += `<tr><td>${HtmlUtil.escapeHtml(raterId)}</td><td>${HtmlUtil.escapeHtml(pids.map(p => overlap.has(p) ? `${p}*` : p).join(', '))}</td></tr>`;
+      }
+      html += '</table>';
+    }
+    results.innerHTML = html;
+  }
+
+  return { show, loadPublishedPlan, getAssignedParticipants, generatePlan };
+})();
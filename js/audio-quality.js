@@ -0,0 +1,174 @@
+/**
+ * audio-quality.js - Per-recording acoustic quality metrics
+ * Peak level, clipping, noise floor, SNR and speech duration of the
+ * response part of a recording, plus warning flags from the study's
+ * thresholds. Metrics are cached per dataset in SessionStore (shared by
+ * all raters on this computer). analyze() also works in Node.
+ */
+const AudioQuality = (() => {
+  const FRAME_MS = 10;
+  const CLIP_LEVEL = 0.99;          // |sample| at or above this counts as clipped
+  const NOISE_PERCENTILE = 0.1;     // quietest 10% of frames = noise floor
+  const CACHE_PREFIX = 'vocabScorerQuality_';
+  const DECODE_SAMPLE_RATE = 22050;
+  const DEFAULT_THRESHOLDS = { maxClippingPct: 0.1, minPeakDb: -30, minSnrDb: 15, minSpeechMs: 150 };
+  const FLAGS = ['clipping', 'quiet', 'noisy', 'short'];
+
+  let _decodeCtx = null;
+
+  function toDb(power) {
+    return 10 * Math.log10(Math.max(power, 1e-12));
+  }
+
+  function round1(x) {
+    return x != null ? Math.round(x * 10) / 10 : null;
+  }
+
+  /**
+   * Metrics of samples[fromMs..end]:
+   * { peakDb, clippingPct, noiseFloorDb, snrDb, speechMs }
+   * Speech frames are those above the onset detector's threshold; SNR is
+   * their mean level over the noise floor (null without speech).
+   */
+  function analyze(samples, sampleRate, options = {}) {
+    const thresholdDb = options.thresholdDb != null ? options.thresholdDb : -40;
+    const start = Math.min(samples.length, Math.max(0, Math.floor((options.fromMs || 0) * sampleRate / 1000)));
+    const frameLength = Math.max(1, Math.round(sampleRate * FRAME_MS / 1000));
+
+    let peak = 0;
+    let clipped = 0;
+    const frames = [];
+    for (let f = start; f + frameLength <= samples.length; f += frameLength) {
+      let sum = 0;
+      for (let i = f; i < f + frameLength; i++) {
+        const a = Math.abs(samples[i]);
+        if (a > peak) peak = a;
+        if (a >= CLIP_LEVEL) clipped++;
+        sum += samples[i] * samples[i];
+      }
+      frames.push(sum / frameLength);
+    }
+    if (frames.length === 0) {
+      return { peakDb: null, clippingPct: 0, noiseFloorDb: null, snrDb: null, speechMs: 0 };
+    }
+
+    const sorted = frames.map(toDb).sort((a, b) => a - b);
+    const noiseFloorDb = sorted[Math.floor((sorted.length - 1) * NOISE_PERCENTILE)];
+    const speech = frames.filter(p => toDb(p) > thresholdDb);
+    const speechDb = speech.length ? toDb(speech.reduce((s, p) => s + p, 0) / speech.length) : null;
+
+    return {
+      peakDb: round1(20 * Math.log10(Math.max(peak, 1e-6))),
+      clippingPct: Math.round(clipped / (frames.length * frameLength) * 100 * 1000) / 1000,
+      noiseFloorDb: round1(noiseFloorDb),
+      snrDb: speechDb != null ? round1(speechDb - noiseFloorDb) : null,
+      speechMs: speech.length * FRAME_MS
+    };
+  }
+
+  /** Warning flags ('clipping', 'quiet', 'noisy', 'short') for a set of metrics. */
+  function flagsFor(metrics, thresholds) {
+    const t = { ...DEFAULT_THRESHOLDS, ...(thresholds || {}) };
+    if (!metrics) return [];
+    const flags = [];
+    if (metrics.clippingPct > t.maxClippingPct) flags.push('clipping');
+    if (metrics.peakDb == null || metrics.peakDb < t.minPeakDb) flags.push('quiet');
+    if (metrics.snrDb != null && metrics.snrDb < t.minSnrDb) flags.push('noisy');
+    if (metrics.speechMs < t.minSpeechMs) flags.push('short');
+    return flags;
+  }
+
+  // ── Per-dataset cache (browser) ──
+
+  const _caches = new Map();   // datasetId -> { "pid_trial": metrics }
+
+  function cacheKey(datasetId) {
+    return CACHE_PREFIX + datasetId;
+  }
+
+  // SessionStore.get returns a copy, so each dataset's cache is read once and kept here
+  function cacheFor(datasetId) {
+    if (!_caches.has(datasetId)) _caches.set(datasetId, SessionStore.get(cacheKey(datasetId)) || {});
+    return _caches.get(datasetId);
+  }
+
+  /** Cached metrics of one recording, or null if it has not been analyzed yet. */
+  function getMetrics(datasetId, participantId, trialNum) {
+    return cacheFor(datasetId)[`${participantId}_${trialNum}`] || null;
+  }
+
+  function getFlags(datasetId, participantId, trialNum) {
+    return flagsFor(getMetrics(datasetId, participantId, trialNum), Study.get().audioQuality);
+  }
+
+  function storeMetrics(datasetId, entries) {
+    const cache = cacheFor(datasetId);
+    entries.forEach(([key, metrics]) => { cache[key] = metrics; });
+    return SessionStore.put(cacheKey(datasetId), cache)
+      .catch(e => console.warn('Failed to cache recording quality:', e));
+  }
+
+  function analyzeTrial(samples, sampleRate, participantId, trial, dataset) {
+    // The open session's reference override counts only for its own dataset
+    const state = State.get();
+    const score = state && state.datasetId === dataset.id ? State.getScore(participantId, trial.trial) : null;
+    return analyze(samples, sampleRate, {
+      fromMs: ScoringUI.getSearchStartMs(trial, dataset, score),
+      thresholdDb: OnsetDetector.DEFAULTS.thresholdDb
+    });
+  }
+
+  /** Metrics of the recording shown in the waveform viewer, analyzing and caching it if needed. */
+  function analyzeLoaded(dataset, participantId, trial, audio) {
+    const cached = getMetrics(dataset.id, participantId, trial.trial);
+    if (cached) return cached;
+    const metrics = analyzeTrial(audio.samples, audio.sampleRate, participantId, trial, dataset);
+    storeMetrics(dataset.id, [[`${participantId}_${trial.trial}`, metrics]]);
+    return metrics;
+  }
+
+  /** Fetch and decode one MP3 to mono samples at DECODE_SAMPLE_RATE. */
+  async function decodeAudio(url) {
+    const resp = await fetch(url);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const buf = await resp.arrayBuffer();
+    if (!_decodeCtx) _decodeCtx = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+    const audio = await _decodeCtx.decodeAudioData(buf);
+    return { samples: audio.getChannelData(0), sampleRate: audio.sampleRate };
+  }
+
+  /**
+   * Analyze every not yet cached recording of the given participants.
+   * onProgress(done, total) is called after each recording; isCancelled() stops
+   * before the next one (finished ones are still cached). Returns the number of failures.
+   */
+  async function ensureMetrics(dataset, participants, onProgress, isCancelled) {
+    const missing = [];
+    participants.forEach(p => p.trials.forEach(t => {
+      if (!getMetrics(dataset.id, p.id, t.trial)) missing.push({ p, t });
+    }));
+    const entries = [];
+    let failed = 0;
+    for (let i = 0; i < missing.length; i++) {
+      if (isCancelled && isCancelled()) break;
+      const { p, t } = missing[i];
+      try {
+        const audio = await decodeAudio(`data/${t._audioPath}/${p.id}/${t.audioFileNormalized}`);
+        entries.push([`${p.id}_${t.trial}`, analyzeTrial(audio.samples, audio.sampleRate, p.id, t, dataset)]);
+      } catch (e) {
+        console.warn(`Recording quality: P${p.id} trial ${t.trial} failed:`, e);
+        failed++;
+      }
+      if (onProgress) onProgress(i + 1, missing.length);
+    }
+    if (entries.length > 0) await storeMetrics(dataset.id, entries);
+    return failed;
+  }
+
+  return {
+    FLAGS, DEFAULT_THRESHOLDS, analyze, flagsFor,
+    getMetrics, getFlags, analyzeLoaded, ensureMetrics, decodeAudio
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = AudioQuality;
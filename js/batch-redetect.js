@@ -0,0 +1,171 @@
+/**
+ * batch-redetect.js - Dataset-wide onset re-detection report
+ * Re-runs OnsetDetector on every trial whose latency_status is not "ok",
+ * tabulates old vs new onsets, and opens a review queue of trials where
+ * speech was found although the CSV said no_speech_detected.
+ */
+const BatchRedetect = (() => {
+  let _dataset = null;
+  let _results = [];     // [{ participantId, trial, word, latencyStatus, oldOnsetMs, newOnsetMs, confidence }]
+  let _running = false;
+  let _cancelled = false;
+  let _initialized = false;
+
+  function init() {
+    if (_initialized) return;
+    _initialized = true;
+
+    document.getElementById('batch-back').addEventListener('click', () => {
+      _cancelled = true;
+      App.renderSetupScreen();
+    });
+    document.getElementById('batch-run').addEventListener('click', run);
+    document.getElementById('batch-cancel').addEventListener('click', () => { _cancelled = true; });
+    document.getElementById('batch-export').addEventListener('click', exportReport);
+    document.getElementById('batch-review').addEventListener('click', startReview);
+  }
+
+  function show(datasetId) {
+    init();
+    _dataset = CsvLoader.getDataset(datasetId);
+    App.showScreen('batch-screen');
+    document.getElementById('batch-dataset').textContent = _dataset ? _dataset.label : '';
+
+    const p = OnsetDetector.DEFAULTS;
+    document.getElementById('batch-threshold').value = p.thresholdDb;
+    document.getElementById('batch-frame').value = p.frameMs;
+    document.getElementById('batch-min-frames').value = p.minFrames;
+    render();
+  }
+
+  function setStatus(msg, isError) {
+    const el = document.getElementById('batch-status');
+    el.textContent = msg;
+    el.style.color = isError ? 'var(--danger)' : 'var(--text-muted)';
+  }
+
+  async function run() {
+    if (_running || !_dataset) return;
+    const { params, errors: paramErrors } = OnsetDetector.parseParams({
+      thresholdDb: document.getElementById('batch-threshold').value,
+      frameMs: document.getElementById('batch-frame').value,
+      minFrames: document.getElementById('batch-min-frames').value
+    });
+    if (paramErrors.length > 0) {
+      setStatus(`Cannot re-detect: ${paramErrors.join('; ')}`, true);
+      return;
+    }
+    _running = true;
+    _cancelled = false;
+    _results = [];
+    render();
+
+    const errors = [];
+    const pids = _dataset.participants;
+    // Reference overrides of the open session, if it is on this dataset
+    const state = State.get();
+    const scoreOf = (pid, trialNum) => (state && state.datasetId === _dataset.id ? State.getScore(pid, trialNum) : null);
+
+    try {
+      for (let pi = 0; pi < pids.length && !_cancelled; pi++) {
+        const pid = pids[pi];
+        let participant;
+        try {
+          participant = await CsvLoader.loadParticipant(_dataset.id, pid);
+        } catch (e) {
+          errors.push(`P${pid}: ${e.message}`);
+          continue;
+        }
+
+        const flagged = participant.trials.filter(t => t.latency_status !== 'ok');
+        for (const trial of flagged) {
+          if (_cancelled) break;
+          setStatus(`Participant ${pid} (${pi + 1}/${pids.length}) — trial ${trial.trial}...`);
+          const url = `data/${trial._audioPath}/${pid}/${trial.audioFileNormalized}`;
+          try {
+            const audio = await AudioQuality.decodeAudio(url);
+            const result = OnsetDetector.detect(audio.samples, audio.sampleRate, {
+              ...params,
+              searchFromMs: ScoringUI.getSearchStartMs(trial, _dataset, scoreOf(pid, trial.trial))
+            });
+            _results.push({
+              participantId: pid,
+              trial: trial.trial,
+              word: trial.word,
+              latencyStatus: trial.latency_status,
+              oldOnsetMs: trial.onset_ms_from_recording_start,
+              newOnsetMs: result.onsetMs,
+              confidence: result.confidence
+            });
+          } catch (e) {
+            errors.push(`P${pid} trial ${trial.trial}: ${e.message}`);
+          }
+        }
+        render();
+      }
+    } finally {
+      _running = false;
+    }
+
+    const summary = `${_cancelled ? 'Cancelled' : 'Done'}: ${_results.length} flagged trials re-analyzed, ` +
+      `${getReviewQueue().length} with new speech.`;
+    setStatus(errors.length ? `${summary}\n${errors.length} error(s):\n${errors.join('\n')}` : summary, errors.length > 0);
+    render();
+  }
+
+  /** Trials where the detector now finds speech but the CSV said no_speech_detected. */
+  function getReviewQueue() {
+    return _results
+      .filter(r => r.latencyStatus === 'no_speech_detected' && r.newOnsetMs != null)
+      .map(r => ({ participantId: r.participantId, trial: r.trial }));
+  }
+
+  function startReview() {
+    const queue = getReviewQueue();
+    if (queue.length === 0) {
+      setStatus('No trials to review.', true);
+      return;
+    }
+    if (!App.openQueue(_dataset.id, queue)) {
+      setStatus('Enter your Rater ID on the setup screen to review trials.', true);
+    }
+  }
+
+  function exportReport() {
+    if (_results.length === 0) return;
+    const rows = _results.map(r => ({
+      dataset: _dataset.id,
+      participant_id: r.participantId,
+      trial: r.trial,
+      word: r.word,
+      latency_status_auto: r.latencyStatus,
+      onset_ms_old: r.oldOnsetMs != null ? r.oldOnsetMs : '',
+      onset_ms_new: r.newOnsetMs != null ? Math.round(r.newOnsetMs * 1000) / 1000 : '',
+      confidence: Math.round(r.confidence * 1000) / 1000
+    }));
+    const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    Export.downloadRowsCSV(rows, `redetect_${_dataset.id}_${ts}.csv`);
+  }
+
+  function fmtMs(ms) {
+    return ms != null ? ms.toFixed(1) : '—';
+  }
+
+  function render() {
+    document.getElementById('batch-run').disabled = _running;
+    document.getElementById('batch-cancel').disabled = !_running;
+    document.getElementById('batch-export').disabled = _running || _results.length === 0;
+    document.getElementById('batch-review').disabled = _running || getReviewQueue().length === 0;
+
+    const tbody = document.getElementById('batch-results');
+    tbody.innerHTML = _results.map(r => {
+      const found = r.latencyStatus === 'no_speech_detected' && r.newOnsetMs != null;
+      return `<tr${found ? ' class="row-highlight"' : ''}>
+        <td>${HtmlUtil.escapeHtml(r.participantId)}</td><td>${r.trial}</td><td>${HtmlUtil.escapeHtml(r.word)}</td><td>${HtmlUtil.escapeHtml(r.latencyStatus)}</td>
+        <td>${fmtMs(r.oldOnsetMs)}</td><td>${fmtMs(r.newOnsetMs)}</td><td>${r.confidence.toFixed(2)}</td>
+      </tr>`;
+    }).join('');
+  }
+
+  return { show };
+})();
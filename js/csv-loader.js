@@ -1,6 +1,7 @@
 /**
- * csv-loader.js - Browser-side CSV loading and parsing
+ * csv-loader.js - Browser-side CSV loading
  * Replaces manifest.json with direct CSV reads per participant.
+ * Parsing, row checks and trial building are in csv-parser.js (shared with the build scripts).
  */
 const CsvLoader = (() => {
   let _index = null;          // participants.json data
@@ -20,13 +21,10 @@ const CsvLoader = (() => {
     return _index.datasets.find(d => d.id === datasetId);
   }
 
-  function getWords() {
-    return _index ? _index.words : {};
-  }
-
   /**
    * Load and parse a single participant's CSV.
-   * Returns { id, trials, trialCount }.
+   * Returns { id, trials, trialCount, csvIssues: { errors, warnings } }; rows
+   * with errors are skipped. Throws if no usable row is left (e.g. missing columns).
    */
   async function loadParticipant(datasetId, participantId) {
     const cacheKey = `${datasetId}/${participantId}`;
@@ -40,11 +38,16 @@ const CsvLoader = (() => {
     if (!resp.ok) throw new Error(`Failed to load CSV: ${csvUrl}`);
     const text = await resp.text();
 
-    const rows = parseCSV(text);
-    const processFn = ds.testType === 'l2_to_l1' ? buildL2toL1Trial : buildPictureNamingTrial;
-    const trials = rows.map(row => processFn(row, participantId, ds)).sort((a, b) => a.trial - b.trial);
+    const fileName = `results_${participantId}.csv`;
+    const { rows, errors, warnings } = CsvParser.parseResults(text, ds.testType);
+    [...errors, ...warnings].forEach(issue => console.warn(CsvParser.formatIssue(fileName, issue)));
+    if (rows.length === 0) {
+      throw new Error(errors.length ? CsvParser.formatIssue(fileName, errors[0]) : `${fileName}: no trials`);
+    }
 
-    const participant = { id: participantId, trials, trialCount: trials.length };
+    const trials = CsvParser.buildTrials(rows, participantId, ds);
+
+    const participant = { id: participantId, trials, trialCount: trials.length, csvIssues: { errors, warnings } };
     _cache.set(cacheKey, participant);
     return participant;
   }
@@ -57,86 +60,5 @@ const CsvLoader = (() => {
     _cache.clear();
   }
 
-  // ── CSV Parsing ──
-
-  function parseCSV(text) {
-    const lines = text.split('\n').filter(l => l.trim());
-    if (lines.length < 2) return [];
-    const headers = lines[0].split(',').map(h => h.trim());
-    return lines.slice(1).map(line => {
-      const values = line.split(',');
-      const row = {};
-      headers.forEach((h, i) => { row[h] = (values[i] || '').trim(); });
-      return row;
-    });
-  }
-
-  function safeFloat(val) {
-    if (val === '' || val === undefined || val === null) return null;
-    const n = parseFloat(val);
-    return isNaN(n) ? null : n;
-  }
-
-  function stripAccents(str) {
-    return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-  }
-
-  /**
-   * Resolve audio filename:
-   * - Fix participant ID mismatch in prefix
-   * - Strip accents
-   * - Change .wav → .mp3
-   */
-  function resolveAudioFilename(csvRecordingFile, participantId) {
-    if (!csvRecordingFile) return '';
-    let filename = csvRecordingFile;
-    // Fix participant ID prefix mismatch (e.g. CSV says "60_trial..." but dir is participant "74")
-    const match = filename.match(/^(\d+)(_.+)/);
-    if (match && match[1] !== participantId) {
-      filename = participantId + match[2];
-    }
-    // Strip accents and change extension
-    return stripAccents(filename).normalize('NFC').replace(/\.wav$/i, '.mp3');
-  }
-
-  function buildL2toL1Trial(row, participantId, dataset) {
-    return {
-      trial: parseInt(row.trial),
-      word: row.word,
-      wordNormalized: stripAccents(row.word || ''),
-      word_id: parseInt(row.word_id),
-      list: parseInt(row.list),
-      voice: row.voice,
-      audioFile: row.recording_file,
-      audioFileNormalized: resolveAudioFilename(row.recording_file, participantId),
-      playback_end_ms_rel: safeFloat(row.playback_end_ms_rel),
-      stimulus_duration_ms: safeFloat(row.stimulus_duration_ms),
-      onset_ms_from_recording_start: safeFloat(row.onset_ms_from_recording_start),
-      latency_ms: safeFloat(row.latency_ms_from_playback_end),
-      latency_status: row.latency_status,
-      latency_note: row.latency_note || '',
-      _audioPath: dataset.audioPath
-    };
-  }
-
-  function buildPictureNamingTrial(row, participantId, dataset) {
-    return {
-      trial: parseInt(row.trial),
-      word: row.word,
-      wordNormalized: stripAccents(row.word || ''),
-      word_id: parseInt(row.word_id),
-      list: parseInt(row.list),
-      imageFile: row.image_file,
-      audioFile: row.recording_file,
-      audioFileNormalized: resolveAudioFilename(row.recording_file, participantId),
-      image_onset_ms_rel: safeFloat(row.image_onset_ms_rel),
-      onset_ms_from_recording_start: safeFloat(row.onset_ms_from_recording_start),
-      latency_ms: safeFloat(row.latency_ms_from_image_onset),
-      latency_status: row.latency_status,
-      latency_note: row.latency_note || '',
-      _audioPath: dataset.audioPath
-    };
-  }
-
-  return { loadIndex, getIndex, getDataset, getWords, loadParticipant, evict, clearCache };
+  return { loadIndex, getIndex, getDataset, loadParticipant, evict, clearCache };
 })();
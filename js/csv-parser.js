@@ -0,0 +1,308 @@
+/**
+ * csv-parser.js - RFC 4180 parsing and validation of results CSVs
+ * Handles quoted fields (commas, quotes and line breaks inside quotes), CRLF
+ * and a leading BOM. parseResults() checks the columns each testType needs
+ * and reports problems by line number; rows with errors are left out.
+ * buildTrials() turns the rows into trial objects (audio file names resolved).
+ * Used by CsvLoader in the browser and by build/prepare-data.js and
+ * build/check-data.js in Node.
+ */
+const CsvParser = (() => {
+  const REQUIRED_COLUMNS = {
+    l2_to_l1: [
+      'trial', 'word', 'word_id', 'list', 'voice', 'recording_file', 'playback_end_ms_rel',
+      'stimulus_duration_ms', 'onset_ms_from_recording_start', 'latency_ms_from_playback_end', 'latency_status'
+    ],
+    picture_naming: [
+      'trial', 'word', 'word_id', 'list', 'image_file', 'recording_file', 'image_onset_ms_rel',
+      'onset_ms_from_recording_start', 'latency_ms_from_image_onset', 'latency_status'
+    ]
+  };
+  const INTEGER_COLUMNS = ['trial', 'word_id', 'list'];
+  const TEXT_COLUMNS = ['word', 'recording_file'];
+  // Optional numbers the trials are built from (empty = not detected)
+  const NUMBER_COLUMNS = {
+    l2_to_l1: ['playback_end_ms_rel', 'stimulus_duration_ms', 'onset_ms_from_recording_start', 'latency_ms_from_playback_end'],
+    picture_naming: ['image_onset_ms_rel', 'onset_ms_from_recording_start', 'latency_ms_from_image_onset']
+  };
+  // Spreadsheet programs save long integers (epoch ms) as e.g. 1.76879E+12: integers of
+  // this many digits or more are shown in scientific notation, rounded to a few significant digits
+  const SCIENTIFIC = /^[+-]?(\d+)(?:\.(\d+))?[eE]([+-]?\d+)$/;
+  const SPREADSHEET_SCIENTIFIC_DIGITS = 12;
+
+  /**
+   * Split text into records. Returns { records: [{ line, fields }], errors: [{ line, message }] };
+   * line is the 1-based line a record starts on. Blank lines are skipped.
+   */
+  function parseRecords(text) {
+    const records = [];
+    const errors = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let quoted = false;      // current field was quoted
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+      fields.push(field);
+      field = '';
+      quoted = false;
+    };
+    const endRecord = () => {
+      endField();
+      if (fields.some(f => f.trim() !== '')) records.push({ line: recordLine, fields });
+      fields = [];
+    };
+
+    for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else if (ch === '\r' && text[i + 1] === '\n') {
+          continue;   // CRLF inside a quoted field is kept as \n
+        } else {
+          if (ch === '\n') line++;
+          field += ch;
+        }
+      } else if (ch === '"' && field === '' && !quoted) {
+        inQuotes = true;
+        quoted = true;
+      } else if (ch === ',') {
+        endField();
+      } else if (ch === '\r' || ch === '\n') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+        recordLine = line;
+      } else {
+        if (quoted && text[i - 1] === '"') errors.push({ line: recordLine, message: 'text after a closing quote' });
+        else if (ch === '"' && !quoted) errors.push({ line: recordLine, message: 'quote inside an unquoted field' });
+        field += ch;
+      }
+    }
+    if (inQuotes) errors.push({ line: recordLine, message: 'quoted field is never closed' });
+    if (field !== '' || quoted || fields.length > 0) endRecord();
+    return { records, errors };
+  }
+
+  /**
+   * Parse a CSV with a header row.
+   * Returns { headers, rows: [{ line, values: { column: value } }], errors } (values trimmed).
+   */
+  function parse(text) {
+    const { records, errors } = parseRecords(text);
+    if (records.length === 0) return { headers: [], rows: [], errors };
+
+    const headers = records[0].fields.map(h => h.trim());
+    const duplicates = headers.filter((h, i) => h && headers.indexOf(h) !== i);
+    if (duplicates.length > 0) {
+      errors.push({ line: records[0].line, message: `duplicate column(s): ${Array.from(new Set(duplicates)).join(', ')}` });
+    }
+
+    const rows = [];
+    for (const record of records.slice(1)) {
+      if (record.fields.length !== headers.length) {
+        errors.push({ line: record.line, message: `expected ${headers.length} fields, found ${record.fields.length}` });
+        continue;
+      }
+      const values = {};
+      headers.forEach((h, i) => { values[h] = record.fields[i].trim(); });
+      rows.push({ line: record.line, values });
+    }
+    return { headers, rows, errors };
+  }
+
+  /**
+   * Does a value look like a long integer saved in scientific notation with digits
+   * dropped? 1.76879E+12 (13 digits, 6 kept) is; 1.5E+3 (1500), 1.76879123456E+11
+   * (every digit kept) and 2.5E-3 are exact.
+   */
+  function isPrecisionLoss(value) {
+    const m = SCIENTIFIC.exec(value);
+    if (!m) return false;
+    const fraction = m[2] || '';
+    const exponent = parseInt(m[3]);
+    const significant = (m[1] + fraction).replace(/^0+/, '');
+    const integerDigits = significant.length - fraction.length + exponent;
+    // Digits were dropped if the notation implies trailing zeros in an integer that long
+    return significant.length > 0 && exponent > fraction.length && integerDigits >= SPREADSHEET_SCIENTIFIC_DIGITS;
+  }
+
+  function checkRow(values, testType) {
+    const problems = [];
+    INTEGER_COLUMNS.forEach(c => {
+      if (!/^-?\d+$/.test(values[c])) problems.push(`${c} "${values[c]}" is not an integer`);
+    });
+    TEXT_COLUMNS.forEach(c => {
+      if (!values[c]) problems.push(`${c} is empty`);
+    });
+    NUMBER_COLUMNS[testType].forEach(c => {
+      if (values[c] !== '' && !isFinite(Number(values[c]))) problems.push(`${c} "${values[c]}" is not a number`);
+    });
+    return problems;
+  }
+
+  /**
+   * Parse and check a participant's results CSV.
+   * Returns { headers, rows: [{ column: value }], errors, warnings }; errors and
+   * warnings are [{ line, message }] (a repeated trial also has duplicateTrial). Rows with errors are not in rows; a file
+   * missing required columns has no rows. Precision loss is a warning per column.
+   */
+  function parseResults(text, testType) {
+    const parsed = parse(text);
+    const errors = parsed.errors.slice();
+    const warnings = [];
+    const result = { headers: parsed.headers, rows: [], errors, warnings };
+
+    const required = REQUIRED_COLUMNS[testType];
+    if (!required) {
+      errors.push({ line: 1, message: `unknown testType "${testType}"` });
+      return result;
+    }
+    if (parsed.headers.length === 0) {
+      errors.push({ line: 1, message: 'empty file' });
+      return result;
+    }
+    const missing = required.filter(c => !parsed.headers.includes(c));
+    if (missing.length > 0) {
+      errors.push({ line: 1, message: `missing required column(s): ${missing.join(', ')}` });
+      return result;
+    }
+
+    const badLines = new Set(errors.map(e => e.line));
+    const trialLines = new Map();   // trial -> line
+    const lossByColumn = new Map(); // column -> { count, line, value }
+
+    for (const row of parsed.rows) {
+      for (const [column, value] of Object.entries(row.values)) {
+        if (!isPrecisionLoss(value)) continue;
+        const entry = lossByColumn.get(column) || { count: 0, line: row.line, value };
+        entry.count++;
+        lossByColumn.set(column, entry);
+      }
+      if (badLines.has(row.line)) continue;
+
+      const problems = checkRow(row.values, testType);
+      const trial = parseInt(row.values.trial);
+      if (problems.length === 0 && trialLines.has(trial)) {
+        errors.push({ line: row.line, message: `trial ${trial} also on line ${trialLines.get(trial)}`, duplicateTrial: trial });
+        continue;
+      }
+      if (problems.length > 0) {
+        problems.forEach(message => errors.push({ line: row.line, message }));
+        continue;
+      }
+      trialLines.set(trial, row.line);
+      result.rows.push(row.values);
+    }
+
+    for (const [column, { count, line, value }] of lossByColumn) {
+      warnings.push({
+        line,
+        message: `${column}: ${count} value(s) in scientific notation such as "${value}" - digits were lost (saved by a spreadsheet program?)`
+      });
+    }
+    errors.sort((a, b) => a.line - b.line);
+    return result;
+  }
+
+  /** "results_3.csv:12: message" */
+  function formatIssue(fileName, issue) {
+    return `${fileName}:${issue.line}: ${issue.message}`;
+  }
+
+  // ── Trial building ──
+
+  function safeFloat(val) {
+    if (val === '' || val === undefined || val === null) return null;
+    const n = parseFloat(val);
+    return isNaN(n) ? null : n;
+  }
+
+  function stripAccents(str) {
+    return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /** Participant ID a recording file name starts with ("60_trial..." -> "60"), or null. */
+  function recordingParticipantId(csvRecordingFile) {
+    const match = /^(\d+)_/.exec(csvRecordingFile || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Resolve audio filename:
+   * - Fix participant ID mismatch in prefix
+   * - Strip accents
+   * - Change .wav → .mp3
+   */
+  function resolveAudioFilename(csvRecordingFile, participantId) {
+    if (!csvRecordingFile) return '';
+    let filename = csvRecordingFile;
+    // Fix participant ID prefix mismatch (e.g. CSV says "60_trial..." but dir is participant "74")
+    const prefixId = recordingParticipantId(filename);
+    if (prefixId && prefixId !== participantId) {
+      filename = participantId + filename.slice(prefixId.length);
+    }
+    // Strip accents and change extension
+    return stripAccents(filename).normalize('NFC').replace(/\.wav$/i, '.mp3');
+  }
+
+  function buildL2toL1Trial(row, participantId, dataset) {
+    return {
+      trial: parseInt(row.trial),
+      word: row.word,
+      wordNormalized: stripAccents(row.word || ''),
+      word_id: parseInt(row.word_id),
+      list: parseInt(row.list),
+      voice: row.voice,
+      audioFile: row.recording_file,
+      audioFileNormalized: resolveAudioFilename(row.recording_file, participantId),
+      playback_end_ms_rel: safeFloat(row.playback_end_ms_rel),
+      stimulus_duration_ms: safeFloat(row.stimulus_duration_ms),
+      onset_ms_from_recording_start: safeFloat(row.onset_ms_from_recording_start),
+      latency_ms: safeFloat(row.latency_ms_from_playback_end),
+      latency_status: row.latency_status,
+      latency_note: row.latency_note || '',
+      _audioPath: dataset.audioPath
+    };
+  }
+
+  function buildPictureNamingTrial(row, participantId, dataset) {
+    return {
+      trial: parseInt(row.trial),
+      word: row.word,
+      wordNormalized: stripAccents(row.word || ''),
+      word_id: parseInt(row.word_id),
+      list: parseInt(row.list),
+      imageFile: row.image_file,
+      audioFile: row.recording_file,
+      audioFileNormalized: resolveAudioFilename(row.recording_file, participantId),
+      image_onset_ms_rel: safeFloat(row.image_onset_ms_rel),
+      onset_ms_from_recording_start: safeFloat(row.onset_ms_from_recording_start),
+      latency_ms: safeFloat(row.latency_ms_from_image_onset),
+      latency_status: row.latency_status,
+      latency_note: row.latency_note || '',
+      _audioPath: dataset.audioPath
+    };
+  }
+
+  /** Trials of a participant from parseResults() rows, sorted by trial number. */
+  function buildTrials(rows, participantId, dataset) {
+    const build = dataset.testType === 'l2_to_l1' ? buildL2toL1Trial : buildPictureNamingTrial;
+    return rows.map(row => build(row, participantId, dataset)).sort((a, b) => a.trial - b.trial);
+  }
+
+  return {
+    REQUIRED_COLUMNS, parseRecords, parse, parseResults, isPrecisionLoss, formatIssue,
+    recordingParticipantId, resolveAudioFilename, buildTrials
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = CsvParser;
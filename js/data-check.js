@@ -0,0 +1,320 @@
+/**
+ * data-check.js - Dataset integrity check
+ * Cross-checks participants.json against study.json, every participant's
+ * results CSV, the resolved recording MP3s, stimulus images, reference audio
+ * and the stimulus_durations.json keys. checkDataset() only reads through
+ * the io object it is given, so build/check-data.js runs the same checks
+ * on the file system; show() is the "Check Dataset" tool screen.
+ */
+const DataCheck = (() => {
+  const SEVERITIES = ['error', 'warning', 'info'];
+  const CONCURRENCY = 6;   // parallel existence checks (HEAD requests in the browser)
+  // A global from csv-parser.js in the browser, a module in Node
+  const csvParser = typeof CsvParser !== 'undefined' ? CsvParser : require('./csv-parser.js');
+
+  let _results = [];       // [{ datasetId, participants, trials, issues }]
+  let _running = false;
+  let _cancelled = false;
+  let _initialized = false;
+
+  function issue(severity, kind, datasetId, participantId, trial, message) {
+    return { severity, kind, datasetId, participantId, trial, message };
+  }
+
+  /** Run fn over items with at most `limit` calls in flight; results in item order. */
+  async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const i = next++;
+        results[i] = await fn(items[i], i);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Datasets in participants.json that study.json does not define (or defines
+   * differently), study.json datasets without participants, repeated participant IDs.
+   */
+  function checkIndex(index, studyDatasets) {
+    const issues = [];
+    const studyById = new Map(studyDatasets.map(ds => [ds.id, ds]));
+    const indexIds = new Set(index.datasets.map(ds => ds.id));
+
+    for (const ds of index.datasets) {
+      const defined = studyById.get(ds.id);
+      if (!defined) {
+        issues.push(issue('error', 'unknown_dataset', ds.id, null, null, `dataset "${ds.id}" is not in study.json`));
+      } else if (defined.testType !== ds.testType) {
+        issues.push(issue('error', 'unknown_dataset', ds.id, null, null,
+          `testType "${ds.testType}" in participants.json, "${defined.testType}" in study.json`));
+      }
+      const seen = new Set();
+      for (const pid of ds.participants) {
+        if (seen.has(pid)) issues.push(issue('error', 'duplicate_participant', ds.id, pid, null, `participant ${pid} is listed twice`));
+        seen.add(pid);
+      }
+    }
+    for (const ds of studyDatasets) {
+      if (!indexIds.has(ds.id)) {
+        issues.push(issue('warning', 'unknown_dataset', ds.id, null, null, `dataset "${ds.id}" has no participants in participants.json`));
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Check one dataset of participants.json.
+   * io: { readText(path) -> text or null, exists(path) -> boolean } (either may be async);
+   *     paths are relative to data/, e.g. "csv/immediate/l2_to_l1/3/results_3.csv"
+   * options: { trialsPerParticipant, stimulusDurations (durations object or null),
+   *            onProgress(message), isCancelled() }
+   * Returns { datasetId, participants, trials, issues: [{ severity, kind, datasetId,
+   *           participantId, trial, message }] }, errors first.
+   */
+  async function checkDataset(dataset, io, options = {}) {
+    const issues = [];
+    const add = (...args) => issues.push(issue(...args));
+    const progress = options.onProgress || (() => {});
+    const cancelled = options.isCancelled || (() => false);
+    const durations = options.stimulusDurations;
+    const isL2toL1 = dataset.testType === 'l2_to_l1';
+
+    // path -> [{ participantId, trial }] of the trials that need the file
+    const audioFiles = new Map();
+    const images = new Map();
+    const references = new Map();
+    const need = (map, path, participantId, trial) => {
+      if (!map.has(path)) map.set(path, []);
+      map.get(path).push({ participantId, trial });
+    };
+    const missingDurations = new Map();   // key -> number of trials
+    let trialTotal = 0;
+
+    if (isL2toL1 && !durations) {
+      add('warning', 'missing_stimulus_duration', dataset.id, null, null,
+        'stimulus_durations.json is missing: the playback-end marker is not corrected for MP3 padding');
+    }
+
+    for (let pi = 0; pi < dataset.participants.length && !cancelled(); pi++) {
+      const pid = dataset.participants[pi];
+      progress(`${dataset.id}: participant ${pid} (${pi + 1}/${dataset.participants.length})`);
+      const fileName = `results_${pid}.csv`;
+      const text = await io.readText(`${dataset.csvPath}/${pid}/${fileName}`);
+      if (text == null) {
+        add('error', 'missing_csv', dataset.id, pid, null, `${dataset.csvPath}/${pid}/${fileName} not found`);
+        continue;
+      }
+
+      const { rows, errors, warnings } = csvParser.parseResults(text, dataset.testType);
+      errors.forEach(e => add('error', e.duplicateTrial != null ? 'duplicate_trial' : 'csv_error', dataset.id, pid,
+        e.duplicateTrial != null ? e.duplicateTrial : null, csvParser.formatIssue(fileName, e)));
+      warnings.forEach(w => add('warning', 'csv_warning', dataset.id, pid, null, csvParser.formatIssue(fileName, w)));
+
+      const trials = csvParser.buildTrials(rows, pid, dataset);
+      trialTotal += trials.length;
+      if (options.trialsPerParticipant && trials.length !== options.trialsPerParticipant) {
+        add('error', 'trial_count', dataset.id, pid, null,
+          `${trials.length} usable trial(s), ${options.trialsPerParticipant} expected`);
+      }
+
+      const renamed = trials.filter(t => {
+        const prefixId = csvParser.recordingParticipantId(t.audioFile);
+        return prefixId && prefixId !== pid;
+      });
+      if (renamed.length > 0) {
+        const prefixes = Array.from(new Set(renamed.map(t => csvParser.recordingParticipantId(t.audioFile))));
+        add('info', 'id_prefix', dataset.id, pid, null,
+          `${renamed.length} recording_file name(s) start with ${prefixes.map(p => `${p}_`).join(', ')} - resolved to ${pid}_...`);
+      }
+
+      for (const t of trials) {
+        need(audioFiles, `${dataset.audioPath}/${pid}/${t.audioFileNormalized}`, pid, t.trial);
+        need(references, `reference_audio/${t.wordNormalized}.mp3`, pid, t.trial);
+        if (t.imageFile) need(images, `images/${t.imageFile}`, pid, t.trial);
+        if (isL2toL1 && durations) {
+          const key = `${t.voice}_${t.wordNormalized}`;
+          if (durations[key] == null) missingDurations.set(key, (missingDurations.get(key) || 0) + 1);
+        }
+      }
+    }
+
+    const checkFiles = async (map, label) => {
+      const paths = Array.from(map.keys());
+      let done = 0;
+      const found = await mapLimit(paths, CONCURRENCY, async (path) => {
+        if (cancelled()) return true;
+        const ok = await io.exists(path);
+        done++;
+        if (done % 50 === 0 || done === paths.length) progress(`${dataset.id}: ${label} ${done}/${paths.length}`);
+        return ok;
+      });
+      return paths.filter((path, i) => !found[i]);
+    };
+
+    for (const path of await checkFiles(audioFiles, 'recordings')) {
+      const { participantId, trial } = audioFiles.get(path)[0];
+      add('error', 'missing_audio', dataset.id, participantId, trial, `${path} not found`);
+    }
+    for (const path of await checkFiles(images, 'images')) {
+      const users = images.get(path);
+      add('error', 'missing_image', dataset.id, null, null, `${path} not found (${users.length} trial(s))`);
+    }
+    for (const path of await checkFiles(references, 'reference audio')) {
+      const users = references.get(path);
+      add('warning', 'missing_reference_audio', dataset.id, null, null,
+        `${path} not found (${users.length} trial(s) fall back to speech synthesis)`);
+    }
+    for (const [key, count] of missingDurations) {
+      add('warning', 'missing_stimulus_duration', dataset.id, null, null,
+        `stimulus_durations.json has no "${key}" (${count} trial(s) use the uncorrected playback end)`);
+    }
+
+    issues.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    return { datasetId: dataset.id, participants: dataset.participants.length, trials: trialTotal, issues };
+  }
+
+  /** "ERROR   immediate_l2_to_l1 P12 trial 5: message" */
+  function formatIssue(i) {
+    const where = [i.datasetId, i.participantId != null ? `P${i.participantId}` : null, i.trial != null ? `trial ${i.trial}` : null]
+      .filter(Boolean).join(' ');
+    return `${i.severity.toUpperCase().padEnd(7)} ${where}: ${i.message}`;
+  }
+
+  function countBySeverity(issues) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    issues.forEach(i => { counts[i.severity]++; });
+    return counts;
+  }
+
+  // ── Tool screen (browser) ──
+
+  const browserIO = {
+    async readText(path) {
+      const resp = await fetch(`data/${path}`, { cache: 'no-store' });
+      return resp.ok ? resp.text() : null;
+    },
+    async exists(path) {
+      try {
+        const resp = await fetch(`data/${path}`, { method: 'HEAD', cache: 'no-store' });
+        return resp.ok;
+      } catch (e) {
+        return false;
+      }
+    }
+  };
+
+  function init() {
+    if (_initialized) return;
+    _initialized = true;
+
+    document.getElementById('datacheck-back').addEventListener('click', () => {
+      _cancelled = true;
+      App.renderSetupScreen();
+    });
+    document.getElementById('datacheck-run').addEventListener('click', run);
+    document.getElementById('datacheck-cancel').addEventListener('click', () => { _cancelled = true; });
+    document.getElementById('datacheck-export').addEventListener('click', exportReport);
+    document.getElementById('datacheck-show-info').addEventListener('change', render);
+  }
+
+  /** Open the screen with a dataset pre-selected (null = all datasets). */
+  function show(datasetId) {
+    init();
+    App.showScreen('datacheck-screen');
+    const select = document.getElementById('datacheck-dataset');
+    select.innerHTML = '<option value="">All datasets</option>' +
+      App.getIndex().datasets.map(ds => `<option value="${ds.id}">${ds.label}</option>`).join('');
+    select.value = datasetId || '';
+    render();
+  }
+
+  function setStatus(msg, isError) {
+    const el = document.getElementById('datacheck-status');
+    el.textContent = msg;
+    el.style.color = isError ? 'var(--danger)' : 'var(--text-muted)';
+  }
+
+  async function run() {
+    if (_running) return;
+    _running = true;
+    _cancelled = false;
+    _results = [];
+    render();
+
+    const index = App.getIndex();
+    const selected = document.getElementById('datacheck-dataset').value;
+    const datasets = index.datasets.filter(ds => !selected || ds.id === selected);
+    const options = {
+      trialsPerParticipant: Study.getTrialsPerParticipant(),
+      stimulusDurations: App.getStimulusDurations(),
+      onProgress: msg => setStatus(`${msg}...`),
+      isCancelled: () => _cancelled
+    };
+
+    try {
+      const indexIssues = checkIndex(index, Study.getDatasets())
+        .filter(i => !selected || i.datasetId === selected);
+      if (indexIssues.length > 0) {
+        _results.push({ datasetId: 'participants.json', participants: 0, trials: 0, issues: indexIssues });
+      }
+      for (const ds of datasets) {
+        if (_cancelled) break;
+        _results.push(await checkDataset(ds, browserIO, options));
+        render();
+      }
+    } catch (e) {
+      setStatus(`Check failed: ${e.message}`, true);
+      return;
+    } finally {
+      _running = false;
+      render();
+    }
+
+    const counts = countBySeverity(allIssues());
+    const checked = _results.filter(r => r.participants > 0);
+    setStatus(`${_cancelled ? 'Cancelled' : 'Done'}: ${checked.length} dataset(s), ` +
+      `${checked.reduce((s, r) => s + r.participants, 0)} participants, ${checked.reduce((s, r) => s + r.trials, 0)} trials — ` +
+      `${counts.error} error(s), ${counts.warning} warning(s), ${counts.info} note(s).`, counts.error > 0);
+  }
+
+  function allIssues() {
+    return _results.flatMap(r => r.issues);
+  }
+
+  function exportReport() {
+    const issues = allIssues();
+    if (issues.length === 0) return;
+    const rows = issues.map(i => ({
+      severity: i.severity,
+      kind: i.kind,
+      dataset: i.datasetId,
+      participant_id: i.participantId != null ? i.participantId : '',
+      trial: i.trial != null ? i.trial : '',
+      message: i.message
+    }));
+    const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    Export.downloadRowsCSV(rows, `data_check_${ts}.csv`);
+  }
+
+  function render() {
+    document.getElementById('datacheck-run').disabled = _running;
+    document.getElementById('datacheck-cancel').disabled = !_running;
+    document.getElementById('datacheck-export').disabled = _running || allIssues().length === 0;
+
+    const showInfo = document.getElementById('datacheck-show-info').checked;
+    document.getElementById('datacheck-results').innerHTML = allIssues()
+      .filter(i => showInfo || i.severity !== 'info')
+      .map(i => `<tr${i.severity === 'error' ? ' class="row-highlight"' : ''}>
+        <td>${i.severity}</td><td>${i.datasetId}</td><td>${i.participantId != null ? i.participantId : ''}</td>
+        <td>${i.trial != null ? i.trial : ''}</td><td>${i.kind}</td><td>${HtmlUtil.escapeHtml(i.message)}</td>
+      </tr>`).join('');
+  }
+
+  return { SEVERITIES, checkIndex, checkDataset, formatIssue, countBySeverity, show };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = DataCheck;
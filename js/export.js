@@ -7,62 +7,124 @@ const Export = (() => {
   // Track which participants have already shown the popup
   const _exportedPopups = new Set();
 
-  /** Strip diacritical marks (matches csv-loader.js stripAccents). */
-  function stripAccents(str) {
-    return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  /**
+   * MP3 padding correction of an L2-to-L1 playback end:
+   * { rawMs: playback_end_ms_rel, correctedMs: playback start + stimulus content
+   *   duration (stimulus_durations.json), paddingMs: rawMs - correctedMs }.
+   * correctedMs and paddingMs are null without correction data.
+   */
+  function getPlaybackEndCorrection(trial) {
+    const rawMs = trial.playback_end_ms_rel;
+    const stimDurations = App.getStimulusDurations();
+    const contentMs = stimDurations && trial.stimulus_duration_ms != null
+      ? stimDurations[`${trial.voice}_${trial.wordNormalized}`]
+      : null;
+    if (rawMs == null || contentMs == null) return { rawMs, correctedMs: null, paddingMs: null };
+    const paddingMs = trial.stimulus_duration_ms - contentMs;
+    return { rawMs, correctedMs: rawMs - paddingMs, paddingMs };
   }
 
   /**
-   * For L2-to-L1 trials, compute the corrected playback end time (ms)
-   * using pre-analyzed stimulus content durations.
+   * For L2-to-L1 trials, the corrected playback end time (ms).
    * Falls back to the original playback_end_ms_rel if correction data unavailable.
    */
   function getCorrectedPlaybackEnd(trial) {
-    let corrected = trial.playback_end_ms_rel;
-    const stimDurations = App.getStimulusDurations();
-    if (stimDurations && trial.stimulus_duration_ms != null) {
-      const key = trial.voice + '_' + stripAccents(trial.word || '');
-      const contentMs = stimDurations[key];
-      if (contentMs != null) {
-        const playbackStartRel = trial.playback_end_ms_rel - trial.stimulus_duration_ms;
-        corrected = playbackStartRel + contentMs;
-      }
+    const { rawMs, correctedMs } = getPlaybackEndCorrection(trial);
+    return correctedMs != null ? correctedMs : rawMs;
+  }
+
+  /**
+   * The point a trial's latency is measured from: { ms, source }.
+   * source: 'override' (score.referenceMs, set by the rater), 'playback_end_corrected',
+   * 'playback_end' (no correction data), 'image_onset', or null when there is none.
+   */
+  function getReference(trial, dataset, score) {
+    if (score && score.referenceMs != null) return { ms: score.referenceMs, source: 'override' };
+    if (dataset.testType === 'l2_to_l1' && trial.playback_end_ms_rel != null) {
+      const { rawMs, correctedMs } = getPlaybackEndCorrection(trial);
+      return correctedMs != null
+        ? { ms: correctedMs, source: 'playback_end_corrected' }
+        : { ms: rawMs, source: 'playback_end' };
+    }
+    if (dataset.testType === 'picture_naming' && trial.image_onset_ms_rel != null) {
+      return { ms: trial.image_onset_ms_rel, source: 'image_onset' };
     }
-    return corrected;
+    return { ms: null, source: null };
+  }
+
+  /** Consensus files are kept distinguishable from individual raters' files. */
+  function filePrefix(state) {
+    return state.mode === 'adjudication' ? 'consensus' : 'scoring';
+  }
+
+  /** Detector settings behind a 'redetected' onset, e.g. "thr=-40dB;frame=10ms;min=4;from=1000.0ms". */
+  function formatRedetectParams(p) {
+    if (!p) return '';
+    return `thr=${p.thresholdDb}dB;frame=${p.frameMs}ms;min=${p.minFrames};from=${(p.searchFromMs || 0).toFixed(1)}ms`;
+  }
+
+  /** One column per rubric dimension (rubric_<id>), empty when not coded. */
+  function rubricColumns(score) {
+    const columns = {};
+    const dimensions = score.dimensions || {};
+    Study.getRubric().forEach(dim => {
+      columns[`rubric_${dim.id}`] = dimensions[dim.id] != null ? dimensions[dim.id] : '';
+    });
+    return columns;
+  }
+
+  /** Recording quality metrics (AudioQuality), empty for recordings not analyzed yet. */
+  function qualityColumns(datasetId, participantId, trialNum) {
+    const m = AudioQuality.getMetrics(datasetId, participantId, trialNum);
+    const val = v => (m && v != null ? v : '');
+    return {
+      peak_dbfs: val(m && m.peakDb),
+      clipping_pct: val(m && m.clippingPct),
+      noise_floor_db: val(m && m.noiseFloorDb),
+      snr_db: val(m && m.snrDb),
+      speech_ms: val(m && m.speechMs),
+      quality_flags: m ? AudioQuality.getFlags(datasetId, participantId, trialNum).join(';') : ''
+    };
+  }
+
+  /** Segments as "false_start 812.0-1050.3 (0); final_answer 1400.2-1900.0 (1)". */
+  function formatSegments(segments) {
+    if (!segments || segments.length === 0) return '';
+    const ms = v => (v != null ? v.toFixed(1) : '');
+    return segments.map(seg => `${seg.label || ''} ${ms(seg.onsetMs)}-${ms(seg.offsetMs)} (${seg.accuracy != null ? seg.accuracy : ''})`)
+      .join('; ');
+  }
+
+  /** Rubric values as "id=value;id=value" for the history sheet. */
+  function formatDimensions(dimensions) {
+    if (!dimensions) return '';
+    return Object.entries(dimensions).map(([id, value]) => `${id}=${value}`).join(';');
   }
 
   function generateParticipantRows(participant, dataset, state) {
+    const policy = Study.getSegmentPolicy();
     return participant.trials.map(trial => {
       const scoreKey = `${participant.id}_${trial.trial}`;
       const score = state.scores[scoreKey] || {};
-      const isNR = score.accuracy === 'NR';
-
-      // ── Rater latency (corrected) ──
-      let latencyRater = null;
-      if (!isNR && score.onsetMs != null) {
-        if (dataset.testType === 'l2_to_l1' && trial.playback_end_ms_rel != null) {
-          const correctedEnd = getCorrectedPlaybackEnd(trial);
-          latencyRater = score.onsetMs - correctedEnd;
-        } else if (dataset.testType === 'picture_naming' && trial.image_onset_ms_rel != null) {
-          latencyRater = score.onsetMs - trial.image_onset_ms_rel;
-        }
-      }
+      // Accuracy, onset and offset come from the policy's segment, if it has been scored
+      const response = Study.scoreResponse(score, policy);
+      const segment = response.segment || null;
+      const isNR = response.accuracy === 'NR';
+
+      // ── Rater latency (from the corrected playback end, image onset or the rater's override) ──
+      const reference = getReference(trial, dataset, score);
+      const latencyRater = !isNR && response.onsetMs != null && reference.ms != null
+        ? response.onsetMs - reference.ms
+        : null;
+
+      const responseDuration = isNR ? null : ScoringUI.getResponseDurationMs(response.onsetMs, response.offsetMs);
 
       // ── Auto-detected latency (corrected for MP3 padding) ──
       let latencyAuto = trial.latency_ms;
       if (dataset.testType === 'l2_to_l1' && latencyAuto != null) {
-        const stimDurations = App.getStimulusDurations();
-        if (stimDurations && trial.stimulus_duration_ms != null) {
-          const key = trial.voice + '_' + stripAccents(trial.word || '');
-          const contentMs = stimDurations[key];
-          if (contentMs != null) {
-            // Original: latency = onset - playback_end_ms_rel
-            // Padding = stimulus_duration_ms - contentMs
-            // Corrected: latency + padding
-            const paddingMs = trial.stimulus_duration_ms - contentMs;
-            latencyAuto = latencyAuto + paddingMs;
-          }
-        }
+        // Original: latency = onset - playback_end_ms_rel; corrected: latency + padding
+        const { paddingMs } = getPlaybackEndCorrection(trial);
+        if (paddingMs != null) latencyAuto = latencyAuto + paddingMs;
       }
 
       return {
@@ -77,29 +139,101 @@ const Export = (() => {
         list: trial.list,
         voice: trial.voice || '',
         image_file: trial.imageFile || '',
-        accuracy_score: score.accuracy != null ? score.accuracy : '',
+        accuracy_score: response.accuracy != null ? response.accuracy : '',
+        ...rubricColumns(score),
         onset_ms_auto: trial.onset_ms_from_recording_start != null ? trial.onset_ms_from_recording_start : '',
-        onset_ms_rater: (!isNR && score.onsetMs != null) ? Math.round(score.onsetMs * 1000) / 1000 : '',
+        onset_ms_rater: (!isNR && response.onsetMs != null) ? Math.round(response.onsetMs * 1000) / 1000 : '',
         onset_status: score.onsetStatus || '',
+        onset_redetect_params: formatRedetectParams(score.redetectParams),
         latency_ms_auto: latencyAuto != null ? Math.round(latencyAuto * 1000) / 1000 : '',
         latency_ms_rater: latencyRater != null ? Math.round(latencyRater * 1000) / 1000 : '',
+        reference_ms_used: reference.ms != null ? Math.round(reference.ms * 1000) / 1000 : '',
+        reference_source: reference.source || '',
         latency_status_auto: trial.latency_status || '',
+        offset_ms_rater: (!isNR && response.offsetMs != null) ? Math.round(response.offsetMs * 1000) / 1000 : '',
+        offset_status: score.offsetStatus || '',
+        response_duration_ms: responseDuration != null ? Math.round(responseDuration * 1000) / 1000 : '',
+        segment_policy: policy,
+        segment_used: segment ? score.segments.indexOf(segment) + 1 : '',
+        segments: formatSegments(score.segments),
+        ...qualityColumns(dataset.id, participant.id, trial.trial),
         notes: score.notes || '',
-        scored_at: score.scoredAt || ''
+        transcription: score.transcription || '',
+        scored_at: score.scoredAt || '',
+        ...(state.mode === 'adjudication'
+          ? { resolution_source: Adjudication.getResolutionSource(state, participant.id, trial.trial, score) }
+          : {})
       };
     }).sort((a, b) => a.trial - b.trial);
   }
 
-  function downloadParticipantExcel(participant, dataset) {
+  /** One row per recorded score change, oldest first within each trial. */
+  function generateHistoryRows(participant, state) {
+    const fmt = v => (v == null ? '' : typeof v === 'object' ? formatRedetectParams(v) : v);
+    const rows = [];
+    participant.trials.slice().sort((a, b) => a.trial - b.trial).forEach(trial => {
+      const entries = (state.history || {})[`${participant.id}_${trial.trial}`] || [];
+      for (const h of entries) {
+        const prev = h.prev || {};
+        const next = h.next || {};
+        rows.push({
+          participant_id: participant.id,
+          trial: trial.trial,
+          word: trial.word,
+          changed_at: h.at,
+          source: h.source,
+          accuracy_prev: fmt(prev.accuracy),
+          accuracy_new: fmt(next.accuracy),
+          onset_ms_prev: prev.onsetMs != null ? Math.round(prev.onsetMs * 1000) / 1000 : '',
+          onset_ms_new: next.onsetMs != null ? Math.round(next.onsetMs * 1000) / 1000 : '',
+          onset_status_prev: fmt(prev.onsetStatus),
+          onset_status_new: fmt(next.onsetStatus),
+          onset_redetect_params_prev: fmt(prev.redetectParams),
+          onset_redetect_params_new: fmt(next.redetectParams),
+          offset_ms_prev: prev.offsetMs != null ? Math.round(prev.offsetMs * 1000) / 1000 : '',
+          offset_ms_new: next.offsetMs != null ? Math.round(next.offsetMs * 1000) / 1000 : '',
+          offset_status_prev: fmt(prev.offsetStatus),
+          offset_status_new: fmt(next.offsetStatus),
+          reference_ms_prev: prev.referenceMs != null ? Math.round(prev.referenceMs * 1000) / 1000 : '',
+          reference_ms_new: next.referenceMs != null ? Math.round(next.referenceMs * 1000) / 1000 : '',
+          segments_prev: formatSegments(prev.segments),
+          segments_new: formatSegments(next.segments),
+          notes_prev: fmt(prev.notes),
+          notes_new: fmt(next.notes),
+          rubric_prev: formatDimensions(prev.dimensions),
+          rubric_new: formatDimensions(next.dimensions),
+          transcription_prev: fmt(prev.transcription),
+          transcription_new: fmt(next.transcription)
+        });
+      }
+    });
+    return rows;
+  }
+
+  /**
+   * Write a participant's .xlsx. Like Export All, recordings not yet analyzed
+   * for quality are analyzed first (progress on btn, which cancels).
+   */
+  async function downloadParticipantExcel(participant, dataset, btn = document.getElementById('export-participant')) {
+    if (cancelAnalysis()) return;
     const state = State.get();
     if (!state) return;
+    if (!(await analyzeForExport(dataset, [participant], btn))) return;
 
     const rows = generateParticipantRows(participant, dataset, state);
     const wb = XLSX.utils.book_new();
     const ws = XLSX.utils.json_to_sheet(rows);
     XLSX.utils.book_append_sheet(wb, ws, 'Scoring');
 
-    const filename = `scoring_${state.raterId}_${dataset.id}_${participant.id}.xlsx`;
+    const historyToggle = document.getElementById('export-history');
+    if (historyToggle && historyToggle.checked) {
+      const historyRows = generateHistoryRows(participant, state);
+      if (historyRows.length > 0) {
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(historyRows), 'history');
+      }
+    }
+
+    const filename = `${filePrefix(state)}_${state.raterId}_${dataset.id}_${participant.id}.xlsx`;
     XLSX.writeFile(wb, filename);
   }
 
@@ -123,8 +257,9 @@ const Export = (() => {
     `;
     document.body.appendChild(overlay);
 
-    overlay.querySelector('.export-popup-download').addEventListener('click', () => {
-      downloadParticipantExcel(participant, dataset);
+    const downloadBtn = overlay.querySelector('.export-popup-download');
+    downloadBtn.addEventListener('click', async () => {
+      await downloadParticipantExcel(participant, dataset, downloadBtn);
       overlay.remove();
     });
     overlay.querySelector('.export-popup-skip').addEventListener('click', () => {
@@ -132,56 +267,104 @@ const Export = (() => {
     });
   }
 
+  // ── Recording quality for the exports ──
+
+  let _analysis = null;   // { cancelled } while an export analyzes recordings
+
+  /**
+   * Analyze the participants' recordings that have no quality metrics yet,
+   * so both exports fill the quality columns by the same rule. Progress is
+   * shown on btn; clicking an export button meanwhile cancels (see cancelAnalysis).
+   * Returns false if cancelled, or if the user declines to export after failures.
+   */
+  async function analyzeForExport(dataset, participants, btn) {
+    const label = btn.textContent;
+    const run = { cancelled: false };
+    _analysis = run;
+    let failed;
+    try {
+      failed = await AudioQuality.ensureMetrics(dataset, participants, (done, total) => {
+        btn.textContent = `Analyzing ${done}/${total}... (click to cancel)`;
+      }, () => run.cancelled);
+    } finally {
+      _analysis = null;
+      btn.textContent = label;
+    }
+    if (run.cancelled) return false;
+    return failed === 0 ||
+      confirm(`${failed} recording(s) could not be analyzed, so their quality columns will be empty. Export anyway?`);
+  }
+
+  /** Cancel a running analysis. Returns true if there was one (the click meant cancel). */
+  function cancelAnalysis() {
+    if (!_analysis) return false;
+    _analysis.cancelled = true;
+    return true;
+  }
+
   // ── Bulk export (all participants, CSV) ──
 
-  function exportAllCSV(dataset) {
+  /**
+   * Load every assigned participant's CSV and write one combined CSV with
+   * the same columns (and corrected latencies) as the per-participant .xlsx.
+   * Unscored trials are included with empty score columns. Recordings not
+   * yet analyzed for quality are analyzed first. Participants whose CSV could
+   * not be loaded are left out and named in a message.
+   */
+  async function exportAllCSV(dataset) {
+    if (cancelAnalysis()) return;
     const state = State.get();
     if (!state) return;
 
-    const headers = [
-      'rater_id', 'dataset', 'timing', 'test_type',
-      'participant_id', 'trial', 'word', 'word_id', 'list',
-      'voice', 'image_file',
-      'accuracy_score',
-      'onset_ms_auto', 'onset_ms_rater', 'onset_status',
-      'latency_ms_auto', 'latency_ms_rater',
-      'latency_status_auto',
-      'notes', 'scored_at'
-    ];
+    const btn = document.getElementById('export-csv');
+    const btnLabel = btn.textContent;
+    btn.disabled = true;
 
-    const csvRows = [headers.join(',')];
-
-    for (const pid of state.assignedParticipants) {
-      const cacheKey = `${state.datasetId}/${pid}`;
-      // Try to get from CsvLoader cache
-      const participant = CsvLoader.getIndex() ? null : null; // Will use cached data
-      // Use scores we have
-      for (const [scoreKey, score] of Object.entries(state.scores)) {
-        if (!scoreKey.startsWith(pid + '_')) continue;
-        const trialNum = parseInt(scoreKey.split('_').pop());
-        csvRows.push([
-          escapeCSV(state.raterId),
-          escapeCSV(dataset.id),
-          escapeCSV(dataset.timing),
-          escapeCSV(dataset.testType),
-          escapeCSV(pid),
-          trialNum,
-          '', '', '', '', '', // word fields - not available without loaded CSV
-          score.accuracy != null ? score.accuracy : '',
-          '', // auto onset
-          (score.accuracy !== 'NR' && score.onsetMs != null) ? score.onsetMs.toFixed(3) : '',
-          escapeCSV(score.onsetStatus || ''),
-          '', '',
-          '',
-          escapeCSV(score.notes || ''),
-          escapeCSV(score.scoredAt || '')
-        ].join(','));
+    const participants = [];
+    const failed = [];
+    try {
+      const pids = state.assignedParticipants;
+      for (let i = 0; i < pids.length; i++) {
+        btn.textContent = `Loading ${i + 1}/${pids.length}...`;
+        try {
+          participants.push(await CsvLoader.loadParticipant(dataset.id, pids[i]));
+        } catch (e) {
+          console.error(`Failed to load participant ${pids[i]}:`, e);
+          failed.push(pids[i]);
+        }
       }
+    } finally {
+      btn.textContent = btnLabel;
+      btn.disabled = false;
     }
 
-    const csv = csvRows.join('\n');
+    if (!participants.some(p => p.trials.length > 0)) {
+      alert(failed.length > 0
+        ? `Nothing exported: no participant could be loaded (${failed.join(', ')}).`
+        : 'Nothing exported: the session has no participants with trials.');
+      return;
+    }
+    if (failed.length > 0 &&
+        !confirm(`Participants ${failed.join(', ')} could not be loaded and will be missing from the CSV. Export the rest?`)) {
+      return;
+    }
+    if (!(await analyzeForExport(dataset, participants, btn))) return;
+
+    const rows = [];
+    participants.forEach(p => rows.push(...generateParticipantRows(p, dataset, state)));
     const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    downloadBlob(csv, `scoring_${state.raterId}_${state.datasetId}_${ts}.csv`, 'text/csv');
+    downloadRowsCSV(rows, `${filePrefix(state)}_${state.raterId}_${state.datasetId}_${ts}.csv`);
+  }
+
+  /** Download an array of flat row objects as CSV, columns from the first row. */
+  function downloadRowsCSV(rows, filename) {
+    if (rows.length === 0) return;
+    const headers = Object.keys(rows[0]);
+    const csvRows = [headers.join(',')];
+    for (const row of rows) {
+      csvRows.push(headers.map(h => escapeCSV(row[h] != null ? row[h] : '')).join(','));
+    }
+    downloadBlob(csvRows.join('\n'), filename, 'text/csv');
   }
 
   function exportJSON() {
@@ -194,10 +377,17 @@ const Export = (() => {
       datasetId: state.datasetId,
       totalScored: Object.keys(state.scores).length,
       assignedParticipants: state.assignedParticipants,
-      scores: state.scores
+      scores: state.scores,
+      shuffleOrders: state.shuffleOrders || {},
+      history: state.history || {},
+      deletedScores: state.deletedScores || {},
+      // A consensus session keeps what it was adjudicated from
+      ...(state.mode === 'adjudication'
+        ? { mode: state.mode, sourceRaters: state.sourceRaters || [], thresholdMs: state.thresholdMs }
+        : {})
     }, null, 2);
     const ts = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    downloadBlob(json, `scoring_${state.raterId}_${state.datasetId}_${ts}.json`, 'application/json');
+    downloadBlob(json, `${filePrefix(state)}_${state.raterId}_${state.datasetId}_${ts}.json`, 'application/json');
   }
 
   function escapeCSV(val) {
@@ -229,7 +419,7 @@ const Export = (() => {
   }
 
   return {
-    showParticipantExportPopup, downloadParticipantExcel,
-    exportCurrentParticipant, exportAllCSV, exportJSON
+    showParticipantExportPopup, downloadParticipantExcel, getPlaybackEndCorrection, getCorrectedPlaybackEnd,
+    getReference, exportCurrentParticipant, exportAllCSV, exportJSON, downloadRowsCSV
   };
 })();
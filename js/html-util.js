@@ -0,0 +1,14 @@
+/**
+ * html-util.js - Helpers for building HTML strings
+ * Loaded before the modules that put imported or CSV-derived text into innerHTML.
+ */
+const HtmlUtil = (() => {
+  /** Escape text for use in element content or a double-quoted attribute. */
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  }
+
+  return { escapeHtml };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = HtmlUtil;
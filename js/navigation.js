@@ -11,6 +11,9 @@ const Navigation = (() => {
   let _shuffleOrder = null;
   let _onNavigate = null;
   let _audioCache = new Map();
+  let _queue = null;    // [{ participantId, trial }] when stepping through a subset of trials
+  let _queuePos = 0;
+  let _initialized = false;
 
   function init(dataset, participantIds, onNavigate) {
     _dataset = dataset;
@@ -20,12 +23,18 @@ const Navigation = (() => {
     _tIndex = 0;
     _shuffleOrder = null;
     _onNavigate = onNavigate;
+    _queue = null;
+    _queuePos = 0;
 
+    // Called again for each session opened; the buttons only need their listeners once
+    if (_initialized) return;
+    _initialized = true;
     document.getElementById('prev-trial').addEventListener('click', prevTrial);
     document.getElementById('next-trial').addEventListener('click', nextTrial);
     document.getElementById('prev-participant').addEventListener('click', prevParticipant);
     document.getElementById('next-participant').addEventListener('click', nextParticipant);
     document.getElementById('jump-unscored').addEventListener('click', jumpToUnscored);
+    document.getElementById('exit-queue').addEventListener('click', clearQueue);
   }
 
   function setPosition(pIndex, tIndex) {
@@ -80,8 +89,79 @@ const Navigation = (() => {
     }
   }
 
+  /**
+   * Navigate to a trial by participant ID and original trial number,
+   * resolving its position in the participant's shuffle order.
+   */
+  async function navigateToTrial(participantId, trialNum) {
+    const pIndex = _participantIds.indexOf(participantId);
+    if (pIndex < 0) return false;
+
+    if (!_participantData.has(participantId)) {
+      const participant = await CsvLoader.loadParticipant(_dataset.id, participantId);
+      _participantData.set(participantId, participant);
+    }
+    const participant = _participantData.get(participantId);
+    const order = State.getOrCreateShuffleOrder(participantId, participant.trials.length);
+    const tIndex = order.findIndex(idx => participant.trials[idx].trial === trialNum);
+
+    if (_queue) {
+      const qIdx = _queue.findIndex(q => q.participantId === participantId && q.trial === trialNum);
+      if (qIdx >= 0) {
+        _queuePos = qIdx;
+        State.setQueuePosition(qIdx);
+      }
+    }
+
+    await navigate(pIndex, Math.max(tIndex, 0));
+    return tIndex >= 0;
+  }
+
+  // ── Trial queue (subset navigation) ──
+
+  /**
+   * Restrict navigation to a list of trials. `meta` (filters, order) is
+   * stored with the queue in the session so it survives a resume.
+   */
+  function setQueue(queue, meta = {}, position = 0) {
+    _queue = queue && queue.length > 0 ? queue : null;
+    _queuePos = _queue ? Math.max(0, Math.min(position, _queue.length - 1)) : 0;
+    State.setQueue(_queue ? { ...meta, items: _queue, position: _queuePos } : null);
+  }
+
+  function clearQueue() {
+    setQueue(null);
+    updateIndicators();
+  }
+
+  function getQueue() { return _queue; }
+  function getQueuePosition() { return _queuePos; }
+
+  function navigateQueue(pos) {
+    if (!_queue) return;
+    _queuePos = Math.max(0, Math.min(pos, _queue.length - 1));
+    State.setQueuePosition(_queuePos);
+    const item = _queue[_queuePos];
+    return navigateToTrial(item.participantId, item.trial);
+  }
+
+  /** Step to the nearest queue item belonging to a different participant. */
+  function stepQueueParticipant(direction) {
+    const currentPid = _queue[_queuePos].participantId;
+    for (let i = _queuePos + direction; i >= 0 && i < _queue.length; i += direction) {
+      if (_queue[i].participantId !== currentPid) {
+        navigateQueue(i);
+        return;
+      }
+    }
+  }
+
   function nextTrial() {
     ScoringUI.saveCurrentScore();
+    if (_queue) {
+      if (_queuePos < _queue.length - 1) navigateQueue(_queuePos + 1);
+      return;
+    }
     const participant = getCurrentParticipant();
     if (!participant) return;
 
@@ -98,18 +178,23 @@ const Navigation = (() => {
 
   function prevTrial() {
     ScoringUI.saveCurrentScore();
+    if (_queue) {
+      if (_queuePos > 0) navigateQueue(_queuePos - 1);
+      return;
+    }
     if (_tIndex > 0) {
       navigate(_pIndex, _tIndex - 1);
     } else if (_pIndex > 0) {
       const prevPid = _participantIds[_pIndex - 1];
       const prevP = _participantData.get(prevPid);
-      const lastIdx = prevP ? prevP.trials.length - 1 : 23;
+      const lastIdx = (prevP ? prevP.trials.length : Study.getTrialsPerParticipant()) - 1;
       navigate(_pIndex - 1, lastIdx);
     }
   }
 
   function nextParticipant() {
     ScoringUI.saveCurrentScore();
+    if (_queue) { stepQueueParticipant(1); return; }
     const participant = getCurrentParticipant();
     if (participant && State.isParticipantComplete(participant.id, participant.trials)) {
       Export.showParticipantExportPopup(participant, _dataset);
@@ -121,6 +206,7 @@ const Navigation = (() => {
 
   function prevParticipant() {
     ScoringUI.saveCurrentScore();
+    if (_queue) { stepQueueParticipant(-1); return; }
     if (_pIndex > 0) {
       navigate(_pIndex - 1, 0);
     }
@@ -128,6 +214,14 @@ const Navigation = (() => {
 
   function jumpToUnscored() {
     ScoringUI.saveCurrentScore();
+    if (_queue) {
+      for (let i = 1; i <= _queue.length; i++) {
+        const pos = (_queuePos + i) % _queue.length;
+        const score = State.getScore(_queue[pos].participantId, _queue[pos].trial);
+        if (!Study.isScored(score)) { navigateQueue(pos); return; }
+      }
+      return;
+    }
     // Search from current position forward
     const startP = _pIndex;
     const startT = _tIndex + 1;
@@ -144,7 +238,7 @@ const Navigation = (() => {
         const originalIdx = shuffleOrder[ti];
         const trial = p.trials[originalIdx];
         const score = State.getScore(pid, trial.trial);
-        if (!score || score.accuracy == null) {
+        if (!Study.isScored(score)) {
           navigate(pi, ti);
           return;
         }
@@ -164,7 +258,7 @@ const Navigation = (() => {
         const originalIdx = shuffleOrder[ti];
         const trial = p.trials[originalIdx];
         const score = State.getScore(pid, trial.trial);
-        if (!score || score.accuracy == null) {
+        if (!Study.isScored(score)) {
           navigate(pi, ti);
           return;
         }
@@ -186,15 +280,18 @@ const Navigation = (() => {
 
   function updateIndicators() {
     const p = getCurrentParticipant();
-    const trialCount = p ? p.trials.length : 24;
-    document.getElementById('trial-indicator').textContent = `Trial ${_tIndex + 1}/${trialCount}`;
+    const trialCount = p ? p.trials.length : Study.getTrialsPerParticipant();
+    document.getElementById('trial-indicator').textContent = _queue
+      ? `Queue ${_queuePos + 1}/${_queue.length}`
+      : `Trial ${_tIndex + 1}/${trialCount}`;
+    document.getElementById('exit-queue').style.display = _queue ? '' : 'none';
     document.getElementById('participant-indicator').textContent =
       `P ${_participantIds[_pIndex]} (${_pIndex + 1}/${_participantIds.length})`;
     updateProgress();
   }
 
   function updateProgress() {
-    const totalTrials = _participantIds.length * 24;
+    const totalTrials = _participantIds.length * Study.getTrialsPerParticipant();
     const scored = State.getTotalScoredCount();
     const pct = totalTrials > 0 ? (scored / totalTrials * 100) : 0;
     document.getElementById('progress-bar').style.width = `${pct}%`;
@@ -235,7 +332,8 @@ const Navigation = (() => {
   }
 
   return {
-    init, setPosition, navigate, nextTrial, prevTrial,
+    init, setPosition, navigate, navigateToTrial, nextTrial, prevTrial,
+    setQueue, clearQueue, getQueue, getQueuePosition, navigateQueue,
     nextParticipant, prevParticipant, jumpToUnscored,
     getCurrentParticipant, getCurrentTrial,
     updateIndicators, updateProgress, getAudioUrl
@@ -0,0 +1,138 @@
+/**
+ * onset-detector.js - Energy-threshold speech detection
+ * Same method as the offline latency analysis (analyze_latency.py): rolling mean-square energy (dB)
+ * over a frameMs window advanced one sample at a time; speech is a run of
+ * at least minFrames consecutive window positions above thresholdDb.
+ * The offset is found the same way, searching backward from the end.
+ * Works on mono Float32Array samples in the browser and in Node
+ * (build/analyze-stimuli.js measures the stimulus durations with detectOffset).
+ */
+const OnsetDetector = (() => {
+  const DEFAULTS = { thresholdDb: -40, frameMs: 10, minFrames: 4 };
+  const CONFIDENCE_WINDOW_MS = 200;
+
+  /** Round half to even, like Python's round(), so frame lengths match the pipeline. */
+  function roundHalfEven(x) {
+    const r = Math.round(x);
+    return (Math.abs(x % 1) === 0.5 && r % 2 !== 0) ? r - 1 : r;
+  }
+
+  /**
+   * Detection parameters from form input text ({ thresholdDb, frameMs, minFrames }).
+   * Returns { params, errors }; errors lists each blank or out-of-range value.
+   */
+  function parseParams(input) {
+    const number = v => (String(v).trim() === '' ? NaN : Number(v));
+    const params = { thresholdDb: number(input.thresholdDb), frameMs: number(input.frameMs), minFrames: number(input.minFrames) };
+    const errors = [
+      !(isFinite(params.thresholdDb) && params.thresholdDb <= 0) && 'threshold must be a number of dB at or below 0',
+      !(isFinite(params.frameMs) && params.frameMs >= 1) && 'frame must be at least 1 ms',
+      !(Number.isInteger(params.minFrames) && params.minFrames >= 1) && 'min frames must be a whole number of at least 1'
+    ].filter(Boolean);
+    return { params, errors };
+  }
+
+  /**
+   * Rolling energy in dB, equivalent to
+   * np.convolve(signal ** 2, ones(frameLength) / frameLength, mode='valid').
+   */
+  function rollingEnergyDb(samples, sampleRate, frameMs) {
+    const frameLength = Math.max(1, roundHalfEven(sampleRate * frameMs / 1000));
+    const n = samples.length - frameLength + 1;
+    if (n <= 0) return { energyDb: new Float32Array(0), frameLength };
+
+    const energyDb = new Float32Array(n);
+    let sum = 0;
+    for (let i = 0; i < frameLength; i++) sum += samples[i] * samples[i];
+    for (let i = 0; i < n; i++) {
+      if (i > 0) {
+        const added = samples[i + frameLength - 1];
+        const removed = samples[i - 1];
+        sum += added * added - removed * removed;
+      }
+      energyDb[i] = 10 * Math.log10(Math.max(sum / frameLength, 1e-12));
+    }
+    return { energyDb, frameLength };
+  }
+
+  /**
+   * Forward search from searchFromMs for the first sustained run.
+   * Returns the index of the run's first window position, or null.
+   */
+  function findOnsetIndex(energyDb, sampleRate, thresholdDb, minFrames, searchFromMs) {
+    const start = Math.max(0, Math.floor((searchFromMs || 0) * sampleRate / 1000));
+    let run = 0;
+    for (let i = start; i < energyDb.length; i++) {
+      if (energyDb[i] > thresholdDb) {
+        run++;
+        if (run >= minFrames) return i - minFrames + 1;
+      } else {
+        run = 0;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Backward search from the end (down to searchFromMs) for the last sustained run.
+   * Returns the index of the run's last window position, or null.
+   */
+  function findOffsetIndex(energyDb, sampleRate, thresholdDb, minFrames, searchFromMs) {
+    const start = Math.max(0, Math.floor((searchFromMs || 0) * sampleRate / 1000));
+    let run = 0;
+    for (let i = energyDb.length - 1; i >= start; i--) {
+      if (energyDb[i] > thresholdDb) {
+        run++;
+        if (run >= minFrames) return i + minFrames - 1;
+      } else {
+        run = 0;
+      }
+    }
+    return null;
+  }
+
+  /** Fraction of window positions above threshold in the 200 ms after onset. */
+  function onsetConfidence(energyDb, sampleRate, onsetIndex, thresholdDb) {
+    const end = Math.min(energyDb.length, onsetIndex + Math.round(CONFIDENCE_WINDOW_MS * sampleRate / 1000));
+    if (end <= onsetIndex) return 0;
+    let above = 0;
+    for (let i = onsetIndex; i < end; i++) {
+      if (energyDb[i] > thresholdDb) above++;
+    }
+    return above / (end - onsetIndex);
+  }
+
+  /**
+   * Detect speech onset.
+   * params: { thresholdDb, frameMs, minFrames, searchFromMs }
+   * Returns { onsetMs, confidence, params } (onsetMs null if no speech).
+   */
+  function detect(samples, sampleRate, params = {}) {
+    const p = { ...DEFAULTS, searchFromMs: 0, ...params };
+    const { energyDb } = rollingEnergyDb(samples, sampleRate, p.frameMs);
+    const idx = findOnsetIndex(energyDb, sampleRate, p.thresholdDb, p.minFrames, p.searchFromMs);
+    if (idx == null) return { onsetMs: null, confidence: 0, params: p };
+    return {
+      onsetMs: idx / sampleRate * 1000,
+      confidence: onsetConfidence(energyDb, sampleRate, idx, p.thresholdDb),
+      params: p
+    };
+  }
+
+  /**
+   * Detect speech offset: the end of the last window of the last sustained run.
+   * params: { thresholdDb, frameMs, minFrames, searchFromMs } (searchFromMs is usually the onset)
+   * Returns { offsetMs, params } (offsetMs null if no speech).
+   */
+  function detectOffset(samples, sampleRate, params = {}) {
+    const p = { ...DEFAULTS, searchFromMs: 0, ...params };
+    const { energyDb, frameLength } = rollingEnergyDb(samples, sampleRate, p.frameMs);
+    const idx = findOffsetIndex(energyDb, sampleRate, p.thresholdDb, p.minFrames, p.searchFromMs);
+    if (idx == null) return { offsetMs: null, params: p };
+    return { offsetMs: (idx + frameLength) / sampleRate * 1000, params: p };
+  }
+
+  return { DEFAULTS, roundHalfEven, parseParams, rollingEnergyDb, findOnsetIndex, findOffsetIndex, detect, detectOffset };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = OnsetDetector;
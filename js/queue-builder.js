@@ -0,0 +1,227 @@
+/**
+ * queue-builder.js - Filtered trial queues across assigned participants
+ * Builds a queue from trial metadata and the rater's scores, then hands it
+ * to Navigation (which keeps it in the session state).
+ */
+const QueueBuilder = (() => {
+  const ONSET_STATUS_OPTIONS = ['none', 'confirmed', 'corrected', 'manual', 'no_speech', 'redetected'];
+  const QUALITY_OPTIONS = {
+    ok: 'No warnings', any: 'Any warning', clipping: 'Clipping', quiet: 'Low level', noisy: 'Noisy', short: 'Little speech'
+  };
+
+  let _dataset = null;
+  let _participants = [];   // loaded participant objects, in assignment order
+  let _overlay = null;
+
+  async function loadParticipants() {
+    const state = State.get();
+    const loaded = [];
+    for (const pid of state.assignedParticipants) {
+      try {
+        loaded.push(await CsvLoader.loadParticipant(_dataset.id, pid));
+      } catch (e) {
+        console.warn(`Queue builder: participant ${pid} unavailable:`, e);
+      }
+    }
+    return loaded;
+  }
+
+  function uniqueValues(key) {
+    const values = new Set();
+    _participants.forEach(p => p.trials.forEach(t => {
+      if (t[key] != null && t[key] !== '') values.add(t[key]);
+    }));
+    return Array.from(values).sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+  }
+
+  function optionList(values, selected) {
+    return ['<option value="">Any</option>']
+      .concat(values.map(v => `<option value="${HtmlUtil.escapeHtml(v)}"${String(v) === String(selected) ? ' selected' : ''}>${HtmlUtil.escapeHtml(v)}</option>`))
+      .join('');
+  }
+
+  // ── Filtering ──
+
+  /**
+   * Does a trial pass every active filter?
+   * filters: { word, voice, list, latencyStatus, accuracy, onsetStatus, hasNotes, onsetDiffMs, quality }
+   * quality: 'ok' (no warnings), 'any' (any warning) or one AudioQuality flag
+   */
+  function matches(participant, trial, filters) {
+    const score = Study.scoreResponse(State.getScore(participant.id, trial.trial)) || {};
+
+    if (filters.word && trial.wordNormalized !== filters.word) return false;
+    if (filters.voice && trial.voice !== filters.voice) return false;
+    if (filters.list && String(trial.list) !== filters.list) return false;
+    if (filters.latencyStatus && trial.latency_status !== filters.latencyStatus) return false;
+
+    if (filters.accuracy) {
+      if (filters.accuracy === 'unscored') {
+        if (score.accuracy != null) return false;
+      } else if (String(score.accuracy) !== filters.accuracy) {
+        return false;
+      }
+    }
+
+    if (filters.onsetStatus) {
+      if (filters.onsetStatus === 'none') {
+        if (score.onsetStatus) return false;
+      } else if (score.onsetStatus !== filters.onsetStatus) {
+        return false;
+      }
+    }
+
+    if (filters.hasNotes && !(score.notes && score.notes.trim())) return false;
+
+    if (filters.quality) {
+      if (!AudioQuality.getMetrics(_dataset.id, participant.id, trial.trial)) return false;
+      const flags = AudioQuality.getFlags(_dataset.id, participant.id, trial.trial);
+      if (filters.quality === 'ok' ? flags.length > 0
+        : filters.quality === 'any' ? flags.length === 0
+          : !flags.includes(filters.quality)) return false;
+    }
+
+    if (filters.onsetDiffMs != null) {
+      const auto = trial.onset_ms_from_recording_start;
+      if (auto == null || score.onsetMs == null || score.accuracy === 'NR') return false;
+      if (Math.abs(score.onsetMs - auto) <= filters.onsetDiffMs) return false;
+    }
+    return true;
+  }
+
+  /** Queue items in participant order, then each participant's trial order. */
+  function buildQueue(filters, order) {
+    const items = [];
+    for (const p of _participants) {
+      p.trials
+        .filter(t => matches(p, t, filters))
+        .forEach(t => items.push({ participantId: p.id, trial: t.trial }));
+    }
+    if (order === 'shuffled') {
+      for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+      }
+    }
+    return items;
+  }
+
+  // ── Dialog ──
+
+  async function open(dataset) {
+    if (_overlay || !State.get()) return;
+    _dataset = dataset;
+
+    _overlay = document.createElement('div');
+    _overlay.className = 'export-popup-overlay';
+    _overlay.innerHTML = '<div class="export-popup queue-popup"><h3>Build Trial Queue</h3><p>Loading participants...</p></div>';
+    document.body.appendChild(_overlay);
+
+    _participants = await loadParticipants();
+    if (!_overlay) return;
+    renderForm();
+  }
+
+  function close() {
+    if (_overlay) _overlay.remove();
+    _overlay = null;
+  }
+
+  function renderForm() {
+    const saved = (State.getQueue() && State.getQueue().filters) || {};
+    const words = uniqueValues('wordNormalized');
+    const isL2 = _dataset.testType === 'l2_to_l1';
+
+    _overlay.querySelector('.queue-popup').innerHTML = `
+      <h3>Build Trial Queue</h3>
+      <div class="queue-form">
+        <label>Word</label><select data-filter="word">${optionList(words, saved.word)}</select>
+        <label>Voice</label><select data-filter="voice"${isL2 ? '' : ' disabled'}>${optionList(uniqueValues('voice'), saved.voice)}</select>
+        <label>List</label><select data-filter="list">${optionList(uniqueValues('list'), saved.list)}</select>
+        <label>latency_status</label><select data-filter="latencyStatus">${optionList(uniqueValues('latency_status'), saved.latencyStatus)}</select>
+        <label>Accuracy</label><select data-filter="accuracy">${optionList(['unscored', ...Study.getScoreScale().map(s => String(s.value))], saved.accuracy)}</select>
+        <label>Onset status</label><select data-filter="onsetStatus">${optionList(ONSET_STATUS_OPTIONS, saved.onsetStatus)}</select>
+        <label>Recording quality</label>
+        <select data-filter="quality">
+          <option value="">Any</option>
+          ${['ok', 'any', ...AudioQuality.FLAGS].map(q => `<option value="${q}"${saved.quality === q ? ' selected' : ''}>${QUALITY_OPTIONS[q]}</option>`).join('')}
+        </select>
+        <label>Has notes</label><input type="checkbox" data-filter="hasNotes"${saved.hasNotes ? ' checked' : ''}>
+        <label>Auto vs rater onset &gt;</label>
+        <span><input type="number" data-filter="onsetDiffMs" min="0" step="1" value="${saved.onsetDiffMs != null ? saved.onsetDiffMs : ''}"> ms</span>
+        <label>Order</label>
+        <select data-filter="order">
+          <option value="original">Original</option>
+          <option value="shuffled"${State.getQueue() && State.getQueue().order === 'shuffled' ? ' selected' : ''}>Shuffled</option>
+        </select>
+      </div>
+      <p class="queue-count"></p>
+      <div class="export-popup-buttons">
+        <button class="btn btn-primary queue-start">Start Queue</button>
+        <button class="btn queue-cancel">Cancel</button>
+      </div>`;
+
+    const updateCount = () => {
+      const filters = readFilters();
+      const count = buildQueue(filters, 'original').length;
+      const pending = filters.quality ? unanalyzedCount() : 0;
+      _overlay.querySelector('.queue-count').textContent = `${count} matching trial(s)` +
+        (pending > 0 ? ` (${pending} recording(s) not analyzed yet; they are analyzed when the queue starts)` : '');
+    };
+    _overlay.querySelectorAll('[data-filter]').forEach(el => el.addEventListener('change', updateCount));
+    _overlay.querySelector('.queue-cancel').addEventListener('click', close);
+    _overlay.querySelector('.queue-start').addEventListener('click', start);
+    updateCount();
+  }
+
+  function readFilters() {
+    const get = name => _overlay.querySelector(`[data-filter="${name}"]`);
+    const diff = parseFloat(get('onsetDiffMs').value);
+    return {
+      word: get('word').value,
+      voice: get('voice').disabled ? '' : get('voice').value,
+      list: get('list').value,
+      latencyStatus: get('latencyStatus').value,
+      accuracy: get('accuracy').value,
+      onsetStatus: get('onsetStatus').value,
+      hasNotes: get('hasNotes').checked,
+      onsetDiffMs: isNaN(diff) ? null : diff,
+      quality: get('quality').value
+    };
+  }
+
+  function unanalyzedCount() {
+    let n = 0;
+    _participants.forEach(p => p.trials.forEach(t => {
+      if (!AudioQuality.getMetrics(_dataset.id, p.id, t.trial)) n++;
+    }));
+    return n;
+  }
+
+  async function start() {
+    const filters = readFilters();
+    const order = _overlay.querySelector('[data-filter="order"]').value;
+    if (filters.quality && unanalyzedCount() > 0) {
+      const countEl = _overlay.querySelector('.queue-count');
+      const startBtn = _overlay.querySelector('.queue-start');
+      startBtn.disabled = true;
+      const failed = await AudioQuality.ensureMetrics(_dataset, _participants, (done, total) => {
+        countEl.textContent = `Analyzing recordings ${done}/${total}...`;
+      });
+      startBtn.disabled = false;
+      if (failed > 0) console.warn(`Queue builder: ${failed} recording(s) could not be analyzed`);
+      if (!_overlay) return;
+    }
+    const items = buildQueue(filters, order);
+    if (items.length === 0) {
+      _overlay.querySelector('.queue-count').textContent = 'No trials match these filters.';
+      return;
+    }
+    ScoringUI.saveCurrentScore();
+    close();
+    Navigation.setQueue(items, { filters, order });
+    Navigation.navigateQueue(0);
+  }
+
+  return { open, close, buildQueue };
+})();
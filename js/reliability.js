@@ -0,0 +1,422 @@
+/**
+ * reliability.js - Inter-rater reliability from multiple raters' JSON exports
+ * Compares accuracy (Cohen's / Fleiss' kappa, % agreement) and onsetMs
+ * (ICC(2,1), mean absolute difference) by participant and by word.
+ */
+const Reliability = (() => {
+  const SUPPORTED_EXPORT_VERSIONS = ['2.0.0'];
+  const DEFAULT_ONSET_THRESHOLD_MS = 20;
+
+  let _raters = [];          // [{ raterId, datasetId, assignedParticipants, scores, fileName }]
+  let _trialMeta = new Map(); // "pid_trial" -> { participantId, trial, word }
+  let _initialized = false;
+
+  function init() {
+    if (_initialized) return;
+    _initialized = true;
+
+    document.getElementById('reliability-back').addEventListener('click', () => {
+      App.renderSetupScreen();
+    });
+    document.getElementById('reliability-files').addEventListener('change', (e) => {
+      importFiles(Array.from(e.target.files));
+      e.target.value = '';
+    });
+    document.getElementById('reliability-clear').addEventListener('click', () => {
+      _raters = [];
+      _trialMeta.clear();
+      render();
+    });
+    document.getElementById('reliability-threshold').addEventListener('change', render);
+    document.getElementById('start-adjudication').addEventListener('click', startAdjudication);
+  }
+
+  function startAdjudication() {
+    const adjudicatorId = document.getElementById('rater-id').value.trim();
+    if (!adjudicatorId) {
+      setStatus('Enter your Rater ID on the setup screen to adjudicate.', true);
+      return;
+    }
+    if (_raters.length < 2) {
+      setStatus('Import at least two rater JSON files to adjudicate.', true);
+      return;
+    }
+    const queued = Adjudication.start(adjudicatorId, _raters, getThreshold());
+    if (queued === 0) setStatus('No disagreements to adjudicate.');
+  }
+
+  function show() {
+    init();
+    App.showScreen('reliability-screen');
+    render();
+  }
+
+  // ── Import ──
+
+  /**
+   * Parse and validate one rater's exportJSON() file.
+   * Throws with a rater-readable message when the file cannot be used.
+   */
+  function parseExport(text, fileName) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`${fileName}: not valid JSON`);
+    }
+    if (!SUPPORTED_EXPORT_VERSIONS.includes(data.exportVersion)) {
+      throw new Error(`${fileName}: unsupported exportVersion "${data.exportVersion}"`);
+    }
+    if (!data.raterId || !data.datasetId || !data.scores || typeof data.scores !== 'object') {
+      throw new Error(`${fileName}: missing raterId, datasetId or scores`);
+    }
+    if (data.mode === 'adjudication' && !Array.isArray(data.sourceRaters)) {
+      throw new Error(`${fileName}: consensus export without sourceRaters`);
+    }
+    return {
+      raterId: data.raterId,
+      datasetId: data.datasetId,
+      assignedParticipants: data.assignedParticipants || [],
+      scores: data.scores,
+      shuffleOrders: data.shuffleOrders || {},
+      history: data.history || {},
+      deletedScores: data.deletedScores || {},
+      // Consensus (adjudication) exports
+      ...(data.mode === 'adjudication'
+        ? { mode: data.mode, sourceRaters: data.sourceRaters, thresholdMs: data.thresholdMs }
+        : {}),
+      fileName
+    };
+  }
+
+  async function importFiles(files) {
+    const errors = [];
+    for (const file of files) {
+      try {
+        const rater = parseExport(await file.text(), file.name);
+        if (_raters.length > 0 && rater.datasetId !== _raters[0].datasetId) {
+          throw new Error(`${file.name}: dataset ${rater.datasetId} does not match ${_raters[0].datasetId}`);
+        }
+        // Re-importing the same rater replaces the earlier file
+        _raters = _raters.filter(r => r.raterId !== rater.raterId);
+        _raters.push(rater);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+
+    setStatus(errors.length ? errors.join('\n') : `Loaded ${_raters.length} rater file(s). Loading trial metadata...`, errors.length > 0);
+    await loadTrialMeta();
+    render();
+    if (!errors.length) setStatus(`Loaded ${_raters.length} rater file(s).`);
+  }
+
+  /** Load participant CSVs so trials can be grouped by word. */
+  async function loadTrialMeta() {
+    if (_raters.length === 0) return;
+    const datasetId = _raters[0].datasetId;
+    const pids = new Set();
+    for (const r of _raters) {
+      Object.keys(r.scores).forEach(k => pids.add(splitScoreKey(k).participantId));
+    }
+    for (const pid of pids) {
+      try {
+        const participant = await CsvLoader.loadParticipant(datasetId, pid);
+        for (const t of participant.trials) {
+          _trialMeta.set(`${pid}_${t.trial}`, { participantId: pid, trial: t.trial, word: t.wordNormalized });
+        }
+      } catch (e) {
+        console.warn(`Trial metadata unavailable for participant ${pid}:`, e);
+      }
+    }
+  }
+
+  function splitScoreKey(scoreKey) {
+    const idx = scoreKey.lastIndexOf('_');
+    return { participantId: scoreKey.slice(0, idx), trial: parseInt(scoreKey.slice(idx + 1)) };
+  }
+
+  // ── Item assembly ──
+
+  /**
+   * Build one item per trial that at least two raters scored.
+   * Each item holds the per-rater accuracy category, onset and offset.
+   */
+  function buildItems(raters) {
+    const keys = new Set();
+    raters.forEach(r => Object.keys(r.scores).forEach(k => keys.add(k)));
+
+    const items = [];
+    for (const scoreKey of keys) {
+      const ratings = raters.map(r => {
+        const s = Study.scoreResponse(r.scores[scoreKey]);
+        if (!s || s.accuracy == null) return null;
+        return {
+          raterId: r.raterId,
+          accuracy: String(s.accuracy),
+          onsetMs: (s.accuracy !== 'NR' && s.onsetMs != null) ? s.onsetMs : null,
+          offsetMs: (s.accuracy !== 'NR' && s.offsetMs != null) ? s.offsetMs : null
+        };
+      });
+      if (ratings.filter(Boolean).length < 2) continue;
+
+      const { participantId, trial } = splitScoreKey(scoreKey);
+      const meta = _trialMeta.get(scoreKey);
+      items.push({
+        scoreKey,
+        participantId,
+        trial,
+        word: meta ? meta.word : '',
+        ratings
+      });
+    }
+    return items.sort((a, b) =>
+      a.participantId.localeCompare(b.participantId, undefined, { numeric: true }) || a.trial - b.trial);
+  }
+
+  function onsetSpread(item) {
+    const onsets = item.ratings.filter(r => r && r.onsetMs != null).map(r => r.onsetMs);
+    if (onsets.length < 2) return null;
+    return Math.max(...onsets) - Math.min(...onsets);
+  }
+
+  function accuracyAgrees(item) {
+    const cats = item.ratings.filter(Boolean).map(r => r.accuracy);
+    return cats.every(c => c === cats[0]);
+  }
+
+  /**
+   * Trials where accuracy categories differ, or onsets differ by more
+   * than thresholdMs. Used by the reliability report and adjudication.
+   */
+  function findDisagreements(items, thresholdMs) {
+    return items.filter(item => {
+      if (!accuracyAgrees(item)) return true;
+      const spread = onsetSpread(item);
+      return spread != null && spread > thresholdMs;
+    });
+  }
+
+  // ── Statistics ──
+
+  function percentAgreement(items) {
+    if (items.length === 0) return null;
+    return items.filter(accuracyAgrees).length / items.length;
+  }
+
+  /** Cohen's kappa for two raters (index a, b) over items both scored. */
+  function cohensKappa(items, a, b) {
+    const pairs = items
+      .filter(it => it.ratings[a] && it.ratings[b])
+      .map(it => [it.ratings[a].accuracy, it.ratings[b].accuracy]);
+    const n = pairs.length;
+    if (n === 0) return null;
+
+    const countsA = {};
+    const countsB = {};
+    let agree = 0;
+    for (const [x, y] of pairs) {
+      countsA[x] = (countsA[x] || 0) + 1;
+      countsB[y] = (countsB[y] || 0) + 1;
+      if (x === y) agree++;
+    }
+    const po = agree / n;
+    let pe = 0;
+    for (const cat of Object.keys(countsA)) {
+      pe += (countsA[cat] / n) * ((countsB[cat] || 0) / n);
+    }
+    if (pe === 1) return null;
+    return (po - pe) / (1 - pe);
+  }
+
+  /** Fleiss' kappa over items rated by every rater. */
+  function fleissKappa(items, raterCount) {
+    const complete = items.filter(it => it.ratings.filter(Boolean).length === raterCount);
+    const n = complete.length;
+    if (n === 0 || raterCount < 2) return null;
+
+    const totals = {};
+    let pBarSum = 0;
+    for (const it of complete) {
+      const counts = {};
+      it.ratings.forEach(r => { counts[r.accuracy] = (counts[r.accuracy] || 0) + 1; });
+      let sumSq = 0;
+      for (const [cat, c] of Object.entries(counts)) {
+        sumSq += c * c;
+        totals[cat] = (totals[cat] || 0) + c;
+      }
+      pBarSum += (sumSq - raterCount) / (raterCount * (raterCount - 1));
+    }
+    const pBar = pBarSum / n;
+    let pe = 0;
+    for (const c of Object.values(totals)) {
+      const p = c / (n * raterCount);
+      pe += p * p;
+    }
+    if (pe === 1) return null;
+    return (pBar - pe) / (1 - pe);
+  }
+
+  /**
+   * ICC(2,1): two-way random effects, absolute agreement, single rater
+   * (Shrout & Fleiss, 1979). Uses items where every rater has an onset.
+   */
+  function icc21(items, raterCount) {
+    const rows = items
+      .filter(it => it.ratings.every(r => r && r.onsetMs != null))
+      .map(it => it.ratings.map(r => r.onsetMs));
+    const n = rows.length;
+    const k = raterCount;
+    if (n < 2 || k < 2) return null;
+
+    const grand = rows.flat().reduce((s, v) => s + v, 0) / (n * k);
+    const rowMeans = rows.map(r => r.reduce((s, v) => s + v, 0) / k);
+    const colMeans = Array.from({ length: k }, (_, j) => rows.reduce((s, r) => s + r[j], 0) / n);
+
+    let ssRows = 0, ssCols = 0, ssTotal = 0;
+    rowMeans.forEach(m => { ssRows += k * (m - grand) ** 2; });
+    colMeans.forEach(m => { ssCols += n * (m - grand) ** 2; });
+    rows.forEach(r => r.forEach(v => { ssTotal += (v - grand) ** 2; }));
+    const ssError = ssTotal - ssRows - ssCols;
+
+    const msr = ssRows / (n - 1);
+    const msc = ssCols / (k - 1);
+    const mse = ssError / ((n - 1) * (k - 1));
+    const denom = msr + (k - 1) * mse + k * (msc - mse) / n;
+    if (denom === 0) return null;
+    return (msr - mse) / denom;
+  }
+
+  /** Mean of pairwise absolute onset differences (ms). */
+  function meanAbsDiff(items) {
+    let sum = 0, count = 0;
+    for (const it of items) {
+      const onsets = it.ratings.filter(r => r && r.onsetMs != null).map(r => r.onsetMs);
+      for (let i = 0; i < onsets.length; i++) {
+        for (let j = i + 1; j < onsets.length; j++) {
+          sum += Math.abs(onsets[i] - onsets[j]);
+          count++;
+        }
+      }
+    }
+    return count > 0 ? sum / count : null;
+  }
+
+  function summarize(items, raterCount) {
+    return {
+      n: items.length,
+      agreement: percentAgreement(items),
+      kappa: raterCount === 2 ? cohensKappa(items, 0, 1) : fleissKappa(items, raterCount),
+      fleiss: fleissKappa(items, raterCount),
+      icc: icc21(items, raterCount),
+      mad: meanAbsDiff(items)
+    };
+  }
+
+  function groupBy(items, keyFn) {
+    const groups = new Map();
+    for (const it of items) {
+      const k = keyFn(it);
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(it);
+    }
+    return groups;
+  }
+
+  // ── Rendering ──
+
+  function fmt(val, digits) {
+    return val == null || isNaN(val) ? 'n/a' : val.toFixed(digits);
+  }
+
+  function fmtPct(val) {
+    return val == null ? 'n/a' : `${(val * 100).toFixed(1)}%`;
+  }
+
+  function getThreshold() {
+    const v = parseFloat(document.getElementById('reliability-threshold').value);
+    return isNaN(v) || v < 0 ? DEFAULT_ONSET_THRESHOLD_MS : v;
+  }
+
+  function setStatus(msg, isError) {
+    const el = document.getElementById('reliability-status');
+    el.textContent = msg;
+    el.style.color = isError ? 'var(--danger)' : 'var(--text-muted)';
+  }
+
+  function render() {
+    const raterList = document.getElementById('reliability-raters');
+    const results = document.getElementById('reliability-results');
+
+    raterList.innerHTML = _raters.map(r =>
+      `<li><strong>${HtmlUtil.escapeHtml(r.raterId)}</strong> — ${Object.keys(r.scores).length} trials <span class="muted">(${HtmlUtil.escapeHtml(r.fileName)})</span></li>`
+    ).join('');
+
+    if (_raters.length < 2) {
+      results.innerHTML = '<p class="muted">Import at least two rater JSON files for the same dataset.</p>';
+      return;
+    }
+
+    const k = _raters.length;
+    const items = buildItems(_raters);
+    const overall = summarize(items, k);
+    const kappaLabel = k === 2 ? "Cohen's κ" : "Fleiss' κ";
+
+    let html = `<h3>Overall (${HtmlUtil.escapeHtml(_raters[0].datasetId)})</h3>
+      <table class="data-table">
+        <tr><th>Trials</th><th>% agreement</th><th>${kappaLabel}</th><th>Fleiss' κ</th><th>Onset ICC(2,1)</th><th>Onset MAD (ms)</th></tr>
+        <tr><td>${overall.n}</td><td>${fmtPct(overall.agreement)}</td><td>${fmt(overall.kappa, 3)}</td>
+          <td>${fmt(overall.fleiss, 3)}</td><td>${fmt(overall.icc, 3)}</td><td>${fmt(overall.mad, 1)}</td></tr>
+      </table>`;
+
+    if (k > 2) {
+      html += '<h3>Pairwise Cohen\'s κ</h3><table class="data-table"><tr><th>Rater A</th><th>Rater B</th><th>κ</th></tr>';
+      for (let a = 0; a < k; a++) {
+        for (let b = a + 1; b < k; b++) {
+          html += `<tr><td>${HtmlUtil.escapeHtml(_raters[a].raterId)}</td><td>${HtmlUtil.escapeHtml(_raters[b].raterId)}</td><td>${fmt(cohensKappa(items, a, b), 3)}</td></tr>`;
+        }
+      }
+      html += '</table>';
+    }
+
+    html += renderGroupTable('By Participant', groupBy(items, it => it.participantId), k, kappaLabel);
+    html += renderGroupTable('By Word', groupBy(items, it => it.word || '(unknown)'), k, kappaLabel);
+
+    const disagreements = findDisagreements(items, getThreshold());
+    html += `<h3>Disagreements (${disagreements.length})</h3>
+      <table class="data-table"><tr><th>Participant</th><th>Trial</th><th>Word</th>
+      ${_raters.map(r => `<th>${HtmlUtil.escapeHtml(r.raterId)}</th>`).join('')}<th>Onset spread (ms)</th><th></th></tr>`;
+    for (const it of disagreements) {
+      const spread = onsetSpread(it);
+      html += `<tr><td>${HtmlUtil.escapeHtml(it.participantId)}</td><td>${HtmlUtil.escapeHtml(it.trial)}</td><td>${HtmlUtil.escapeHtml(it.word)}</td>
+        ${it.ratings.map(r => `<td>${r ? `${HtmlUtil.escapeHtml(r.accuracy)}${r.onsetMs != null ? ` @ ${r.onsetMs.toFixed(1)}` : ''}` : '—'}</td>`).join('')}
+        <td>${fmt(spread, 1)}</td>
+        <td><button class="btn btn-sm reliability-jump" data-pid="${HtmlUtil.escapeHtml(it.participantId)}" data-trial="${HtmlUtil.escapeHtml(it.trial)}">Go</button></td></tr>`;
+    }
+    html += '</table>';
+
+    results.innerHTML = html;
+    results.querySelectorAll('.reliability-jump').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const opened = App.openTrial(_raters[0].datasetId, btn.dataset.pid, parseInt(btn.dataset.trial));
+        if (!opened) setStatus('Enter your Rater ID on the setup screen to open trials.', true);
+      });
+    });
+  }
+
+  function renderGroupTable(title, groups, k, kappaLabel) {
+    let html = `<h3>${title}</h3><table class="data-table">
+      <tr><th></th><th>Trials</th><th>% agreement</th><th>${kappaLabel}</th><th>Onset ICC</th><th>Onset MAD (ms)</th></tr>`;
+    for (const [name, groupItems] of groups) {
+      const s = summarize(groupItems, k);
+      html += `<tr><td>${HtmlUtil.escapeHtml(name)}</td><td>${s.n}</td><td>${fmtPct(s.agreement)}</td><td>${fmt(s.kappa, 3)}</td>
+        <td>${fmt(s.icc, 3)}</td><td>${fmt(s.mad, 1)}</td></tr>`;
+    }
+    return html + '</table>';
+  }
+
+  return {
+    show, parseExport, buildItems, findDisagreements, onsetSpread,
+    cohensKappa, fleissKappa, icc21, meanAbsDiff, percentAgreement
+  };
+})();
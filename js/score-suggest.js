@@ -0,0 +1,207 @@
+/**
+ * score-suggest.js - Accuracy suggestion from a transcription
+ * Converts the target word and the rater's transcription (Spanish spelling
+ * or IPA) to phonemes, syllabifies the target and aligns the two:
+ * no differences = 1, a few differences confined to one target syllable = 0.5
+ * (Barcroft & Sommers), anything else = 0. Works in the browser and in Node.
+ */
+const ScoreSuggest = (() => {
+  const VOWELS = new Set(['a', 'e', 'i', 'o', 'u', 'ə']);
+  const WEAK_VOWELS = new Set(['i', 'u']);
+  const ONSET_CLUSTERS = new Set(['pl', 'bl', 'kl', 'gl', 'fl', 'pɾ', 'bɾ', 'tɾ', 'dɾ', 'kɾ', 'gɾ', 'fɾ']);
+  // Characters that only occur in IPA, so their presence means the whole transcription is IPA
+  const IPA_ONLY = /[θɾβðɣʝʎɲʧʃŋəɛɔˈˌː]/;
+  // Allophones and spelling variants folded into one symbol
+  const IPA_FOLD = { β: 'b', ð: 'd', ɣ: 'g', ʎ: 'ʝ', ŋ: 'n', ɛ: 'e', ɔ: 'o', j: 'i', w: 'u', y: 'ʝ', v: 'b' };
+
+  /** Drop stress accents but keep ñ and ü (tilde U+0303, diaeresis U+0308). */
+  function stripAccents(str) {
+    return str.normalize('NFD').replace(/[\u0300-\u0302\u0304-\u0307\u0309-\u036f]/g, '').normalize('NFC');
+  }
+
+  // Accented í/ú stand in as I/U while the accents are dropped, so their hiatus (san·dí·a) survives
+  function isFrontVowel(ch) {
+    return ch === 'e' || ch === 'i' || ch === 'I';
+  }
+
+  /**
+   * Phonemes of a word written in Spanish spelling (Castilian: z and c+e/i = θ; x = /x/),
+   * with the indices of accented í/ú: { phonemes, stressed: Set }.
+   */
+  function spell(text) {
+    const s = stripAccents(text.toLowerCase().normalize('NFC').replace(/í/g, 'I').replace(/ú/g, 'U'))
+      .replace(/[^a-zñüIU]/g, '');
+    const out = [];
+    const stressed = new Set();
+    for (let i = 0; i < s.length; i++) {
+      const ch = s[i];
+      const next = s[i + 1] || '';
+      const after = s[i + 2] || '';
+      if (ch === 'c' && next === 'h') { out.push('ʧ'); i++; }
+      else if (ch === 'l' && next === 'l') { out.push('ʝ'); i++; }
+      else if (ch === 'r' && next === 'r') { out.push('r'); i++; }
+      else if (ch === 'q' && next === 'u') { out.push('k'); i++; }
+      else if (ch === 'g' && next === 'u' && isFrontVowel(after)) { out.push('g'); i++; }
+      else if (ch === 'g' && next === 'ü') { out.push('g', 'u'); i++; }
+      else if (ch === 'c') out.push(isFrontVowel(next) ? 'θ' : 'k');
+      else if (ch === 'g') out.push(isFrontVowel(next) ? 'x' : 'g');
+      else if (ch === 'z') out.push('θ');
+      else if (ch === 'j') out.push('x');
+      else if (ch === 'h') continue;
+      else if (ch === 'y') out.push(next && VOWELS.has(next.toLowerCase()) ? 'ʝ' : 'i');
+      else if (ch === 'I' || ch === 'U') {
+        stressed.add(out.length);
+        out.push(ch.toLowerCase());
+      }
+      else if (ch === 'ñ') out.push('ɲ');
+      else if (ch === 'ü') out.push('u');
+      else if (ch === 'v' || ch === 'w') out.push(ch === 'v' ? 'b' : 'u');
+      else if (ch === 'x') out.push('x');   // raters write x for /x/, as in the IPA palette
+      else if (ch === 'r') out.push(i === 0 || 'nls'.includes(s[i - 1]) ? 'r' : 'ɾ');
+      else out.push(ch);
+    }
+    return { phonemes: out, stressed };
+  }
+
+  /** Phonemes of a word written in Spanish spelling. */
+  function fromSpelling(text) {
+    return spell(text).phonemes;
+  }
+
+  /** Phonemes of an IPA transcription. */
+  function fromIpa(text) {
+    const s = stripAccents(text.toLowerCase()).replace(/tʃ/g, 'ʧ').replace(/[ˈˌː.\s]/g, '');
+    return Array.from(s).map(ch => IPA_FOLD[ch] || ch).filter(ch => /[a-zθɾʝɲʧʃəx]/.test(ch));
+  }
+
+  function toPhonemes(text) {
+    return IPA_ONLY.test(text) ? fromIpa(text) : fromSpelling(text);
+  }
+
+  /**
+   * Split phonemes into syllables: adjacent vowels share a nucleus unless
+   * both are strong or a stressed weak vowel meets a strong one (hiatus;
+   * stressed = indices of í/ú from spell()); between nuclei one consonant
+   * starts the next syllable, and so do two if they form a valid onset (pl, tɾ, ...).
+   */
+  function syllabify(phonemes, stressed = new Set()) {
+    const isWeak = i => WEAK_VOWELS.has(phonemes[i]);
+    const nuclei = [];   // [start, end) indices
+    for (let i = 0; i < phonemes.length; i++) {
+      if (!VOWELS.has(phonemes[i])) continue;
+      const prev = nuclei[nuclei.length - 1];
+      const hiatus = (stressed.has(i) && !isWeak(i - 1)) || (stressed.has(i - 1) && !isWeak(i));
+      const joins = prev && prev[1] === i && (isWeak(i) || isWeak(i - 1)) && !hiatus;
+      if (joins) prev[1] = i + 1;
+      else nuclei.push([i, i + 1]);
+    }
+    if (nuclei.length === 0) return phonemes.length ? [phonemes.slice()] : [];
+
+    const starts = [0];
+    for (let n = 1; n < nuclei.length; n++) {
+      const codaStart = nuclei[n - 1][1];
+      const nextNucleus = nuclei[n][0];
+      const cluster = phonemes.slice(codaStart, nextNucleus);
+      let onset = Math.min(cluster.length, 1);
+      if (cluster.length >= 2 && ONSET_CLUSTERS.has(cluster.slice(-2).join(''))) onset = 2;
+      starts.push(nextNucleus - onset);
+    }
+    return starts.map((start, n) => phonemes.slice(start, starts[n + 1] != null ? starts[n + 1] : phonemes.length));
+  }
+
+  /**
+   * Edit operations aligning target with response (Levenshtein backtrace).
+   * Returns [{ op: 'sub' | 'del' | 'ins', targetIndex }] for the differences only;
+   * for insertions targetIndex is the position the phoneme is inserted before.
+   */
+  function alignErrors(target, response) {
+    const n = target.length;
+    const m = response.length;
+    const d = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: m + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+    for (let i = 1; i <= n; i++) {
+      for (let j = 1; j <= m; j++) {
+        d[i][j] = Math.min(
+          d[i - 1][j - 1] + (target[i - 1] === response[j - 1] ? 0 : 1),
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1
+        );
+      }
+    }
+    const errors = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+      if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (target[i - 1] === response[j - 1] ? 0 : 1)) {
+        if (target[i - 1] !== response[j - 1]) errors.push({ op: 'sub', targetIndex: i - 1 });
+        i--; j--;
+      } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+        errors.push({ op: 'del', targetIndex: i - 1 });
+        i--;
+      } else {
+        errors.push({ op: 'ins', targetIndex: i });
+        j--;
+      }
+    }
+    return errors.reverse();
+  }
+
+  /**
+   * Suggest an accuracy score. 0.5 needs every difference inside one target
+   * syllable and fewer differences than that syllable has phonemes; only one
+   * phoneme added before or after the word can count toward its edge syllable.
+   * options: { equivalents: [['θ', 's'], ...] } - sounds counted as the same for this word
+   * Returns { score, explanation, syllables, errorSyllable } or null for an empty transcription.
+   */
+  function suggest(targetWord, transcription, options = {}) {
+    const fold = new Map();
+    (options.equivalents || []).forEach(group => group.forEach(p => fold.set(p, group[0])));
+    const canon = p => fold.get(p) || p;
+
+    const { phonemes: targetPhonemes, stressed } = spell(targetWord);
+    const response = toPhonemes(transcription || '').map(canon);
+    if (response.length === 0) return null;
+
+    const syllables = syllabify(targetPhonemes, stressed);
+    const syllableOf = [];
+    syllables.forEach((syl, s) => syl.forEach(() => syllableOf.push(s)));
+    const shown = syllables.map(syl => syl.join('')).join('·');
+
+    const errors = alignErrors(targetPhonemes.map(canon), response);
+    if (errors.length === 0) {
+      return { score: 1, explanation: `Matches /${shown}/`, syllables, errorSyllable: null };
+    }
+
+    // A phoneme inserted at a syllable boundary may belong to either neighbour;
+    // a second one before or after the word belongs to no syllable
+    const edgeInsertions = at => errors.filter(e => e.op === 'ins' && e.targetIndex === at).length;
+    let candidates = edgeInsertions(0) > 1 || edgeInsertions(targetPhonemes.length) > 1 ? [] : null;
+    for (const e of errors) {
+      const own = e.op === 'ins'
+        ? [syllableOf[e.targetIndex - 1], syllableOf[e.targetIndex]].filter(s => s != null)
+        : [syllableOf[e.targetIndex]];
+      candidates = candidates ? candidates.filter(s => own.includes(s)) : own;
+    }
+    // The rest of the syllable must survive: fewer differences than it has phonemes
+    candidates = candidates.filter(s => errors.length < syllables[s].length);
+    const heard = response.join('');
+    if (candidates.length > 0) {
+      const s = candidates[0];
+      return {
+        score: 0.5,
+        explanation: `/${heard}/ differs from /${shown}/ only in syllable ${s + 1} (${syllables[s].join('')})`,
+        syllables,
+        errorSyllable: s
+      };
+    }
+    return {
+      score: 0,
+      explanation: `/${heard}/ differs from /${shown}/ in more than one syllable or in too many sounds`,
+      syllables,
+      errorSyllable: null
+    };
+  }
+
+  return { toPhonemes, spell, fromSpelling, fromIpa, syllabify, alignErrors, suggest };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ScoreSuggest;
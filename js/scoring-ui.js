@@ -1,6 +1,6 @@
 /**
  * scoring-ui.js - Scoring interface component
- * Adapted for CsvLoader (uses CsvLoader.getWords() instead of App.getManifest().words)
+ * Words, glosses, score buttons and hints come from the study config (Study).
  */
 const ScoringUI = (() => {
   let _currentTrial = null;
@@ -8,37 +8,57 @@ const ScoringUI = (() => {
   let _dataset = null;
   let _onScoreChanged = null;
   let _initialized = false;
-
-  // Japanese translations for raters
-  const WORDS_JA = {
-    hongos: 'きのこ', reloj: '時計', tijeras: 'はさみ',
-    sandia: 'スイカ', cuaderno: 'ノート', ardilla: 'リス',
-    cinta: 'テープ', fresas: 'いちご', tiza: 'チョーク',
-    caballo: '馬', elote: 'とうもろこし', manzana: 'りんご',
-    oso: 'クマ', pato: 'アヒル', grapadora: 'ホチキス',
-    loro: 'オウム', cebolla: '玉ねぎ', lechuga: 'レタス',
-    lapiz: '鉛筆', conejo: 'ウサギ', gato: '猫',
-    naranja: 'オレンジ', basurero: 'ゴミ箱', pez: '魚',
-    perro: '犬', tortuga: 'カメ'
-  };
+  let _redetectCandidate = null;  // last previewed OnsetDetector result for this trial
+  let _autoOffsetMs = null;       // OnsetDetector.detectOffset result for the loaded recording
+  let _segments = [];             // response segments of the current trial, sorted by onset
+  let _referenceMs = null;        // rater's override of the latency reference point (null = from the CSV)
 
   function init(onScoreChanged) {
     _onScoreChanged = onScoreChanged;
     if (!_initialized) {
       _initialized = true;
       setupScoreButtons();
+      setupRubricButtons();
       setupOnsetButtons();
       setupOnsetManualInput();
+      setupRedetect();
+      setupOffsetButtons();
+      setupOffsetManualInput();
+      setupReference();
+      setupSegments();
       setupNotesField();
+      setupTranscriptionField();
     }
   }
 
+  /** One button per score in the study's scale, colored by its scale color. */
   function setupScoreButtons() {
-    document.querySelectorAll('.btn-score').forEach(btn => {
+    const container = document.getElementById('score-buttons');
+    container.innerHTML = Study.getScoreScale().map(s =>
+      `<button class="btn btn-score" data-score="${s.value}" title="${s.title || s.label}${s.key ? ` (key: ${s.key})` : ''}"` +
+      `${s.color ? ` style="--score-color: ${s.color}"` : ''}>${s.label}</button>`
+    ).join('');
+    container.querySelectorAll('.btn-score').forEach(btn => {
+      btn.addEventListener('click', () => setAccuracyScore(Study.parseScore(btn.dataset.score)));
+    });
+  }
+
+  /** A row of buttons per rubric dimension; clicking the selected value again clears it. */
+  function setupRubricButtons() {
+    const container = document.getElementById('rubric-dimensions');
+    container.innerHTML = Study.getRubric().map(dim => `
+      <div class="rubric-dimension">
+        <h4>${dim.label || dim.id}</h4>
+        <div class="score-buttons">${dim.values.map(v =>
+          `<button class="btn btn-rubric" data-dimension="${dim.id}" data-value="${v.value}"` +
+          ` title="${v.title || v.label}${v.key ? ` (key: ${v.key})` : ''}"` +
+          `${v.color ? ` style="--score-color: ${v.color}"` : ''}>${v.label}</button>`).join('')}
+        </div>
+      </div>`).join('');
+    container.querySelectorAll('.btn-rubric').forEach(btn => {
       btn.addEventListener('click', () => {
-        const raw = btn.dataset.score;
-        const score = raw === 'NR' ? 'NR' : parseFloat(raw);
-        setAccuracyScore(score);
+        const value = Study.parseRubricValue(btn.dataset.dimension, btn.dataset.value);
+        setDimensionValue(btn.dataset.dimension, btn.classList.contains('active') ? null : value);
       });
     });
   }
@@ -47,7 +67,8 @@ const ScoringUI = (() => {
     document.querySelectorAll('.btn-onset').forEach(btn => {
       btn.addEventListener('click', () => {
         const status = btn.dataset.status;
-        handleOnsetAction(status);
+        if (status === 'redetected') acceptRedetect();
+        else handleOnsetAction(status);
       });
     });
   }
@@ -66,6 +87,69 @@ const ScoringUI = (() => {
     }
   }
 
+  function setupOffsetButtons() {
+    document.querySelectorAll('.btn-offset').forEach(btn => {
+      btn.addEventListener('click', () => handleOffsetAction(btn.dataset.status));
+    });
+  }
+
+  function setupOffsetManualInput() {
+    document.getElementById('offset-ms-apply').addEventListener('click', () => {
+      const ms = parseFloat(document.getElementById('offset-ms-input').value);
+      if (!isNaN(ms) && ms >= 0) {
+        WaveformViewer.setOffsetMarker(ms);
+        handleOffsetAction('manual');
+      }
+    });
+  }
+
+  function setupReference() {
+    document.getElementById('reference-ms-apply').addEventListener('click', () => {
+      const ms = parseFloat(document.getElementById('reference-ms-input').value);
+      if (!isNaN(ms) && ms >= 0) setReferenceOverride(ms);
+    });
+    document.getElementById('reference-click').addEventListener('click', () => {
+      WaveformViewer.enableClickToSet(true, 'reference');
+    });
+    document.getElementById('reference-clear').addEventListener('click', () => setReferenceOverride(null));
+  }
+
+  /** Segment table rows are re-rendered on every change, so their controls are handled here. */
+  function setupSegments() {
+    document.getElementById('segment-add').addEventListener('click', addSegmentFromMarkers);
+    const rows = document.getElementById('segment-rows');
+    rows.addEventListener('change', (e) => {
+      const seg = _segments[parseInt(e.target.dataset.index)];
+      if (!seg) return;
+      if (e.target.dataset.field === 'accuracy') seg.accuracy = e.target.value === '' ? null : Study.parseScore(e.target.value);
+      else if (e.target.dataset.field === 'label') seg.label = e.target.value;
+      segmentsChanged();
+    });
+    rows.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      const index = parseInt(e.target.dataset.index);
+      const seg = _segments[index];
+      if (!action || !seg) return;
+      if (action === 'play') {
+        WaveformViewer.playRange(seg.onsetMs, seg.offsetMs);
+        return;
+      }
+      if (action === 'markers') {
+        const span = markerSpan();
+        if (!span) return;
+        Object.assign(seg, span);
+        _segments.sort((a, b) => a.onsetMs - b.onsetMs);
+      } else if (action === 'remove') {
+        _segments.splice(index, 1);
+      }
+      segmentsChanged();
+    });
+  }
+
+  function setupRedetect() {
+    document.getElementById('redetect-preview').addEventListener('click', previewRedetect);
+  }
+
   function setupNotesField() {
     const textarea = document.getElementById('trial-notes');
     if (textarea) {
@@ -75,8 +159,162 @@ const ScoringUI = (() => {
     }
   }
 
+  /** Transcription input with a character palette; the palette keeps the caret in the field. */
+  function setupTranscriptionField() {
+    const input = document.getElementById('trial-transcription');
+    input.addEventListener('input', () => {
+      saveCurrentScore();
+      renderSuggestion();
+    });
+
+    const palette = document.getElementById('transcription-palette');
+    palette.innerHTML = Study.getTranscriptionPalette()
+      .map(ch => `<button type="button" class="btn btn-sm" data-char="${ch}" title="Insert ${ch}">${ch}</button>`)
+      .join('');
+    palette.querySelectorAll('[data-char]').forEach(btn => {
+      btn.addEventListener('mousedown', (e) => e.preventDefault());
+      btn.addEventListener('click', () => {
+        const start = input.selectionStart != null ? input.selectionStart : input.value.length;
+        const end = input.selectionEnd != null ? input.selectionEnd : start;
+        input.setRangeText(btn.dataset.char, start, end, 'end');
+        input.focus();
+        saveCurrentScore();
+        renderSuggestion();
+      });
+    });
+  }
+
+  // ── Latency reference (L2-to-L1 playback end) ──
+
+  const REFERENCE_SOURCE_LABELS = {
+    override: 'override', playback_end_corrected: 'corrected playback end', playback_end: 'CSV playback end'
+  };
+
+  /** Use ms as this trial's reference point instead of the playback end (null = back to the playback end). */
+  function setReferenceOverride(ms) {
+    if (!_currentTrial) return;
+    _referenceMs = ms;
+    WaveformViewer.enableClickToSet(false, 'reference');
+    renderReference();
+    saveCurrentScore();
+    if (_onScoreChanged) _onScoreChanged();
+  }
+
+  /**
+   * Playback end from the CSV, the padding-corrected end and the reference in
+   * use, with their markers (the CSV end is drawn only when it is not the one in use).
+   */
+  function renderReference() {
+    const section = document.getElementById('reference-section');
+    if (!_currentTrial || _dataset.testType !== 'l2_to_l1' || _currentTrial.playback_end_ms_rel == null) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = '';
+
+    const ms = v => (v != null ? v.toFixed(1) : 'N/A');
+    const { rawMs, correctedMs, paddingMs } = Export.getPlaybackEndCorrection(_currentTrial);
+    const reference = Export.getReference(_currentTrial, _dataset, { referenceMs: _referenceMs });
+    document.getElementById('reference-raw-value').textContent = ms(rawMs);
+    document.getElementById('reference-corrected-value').textContent = ms(correctedMs);
+    document.getElementById('reference-padding-value').textContent = ms(paddingMs);
+    document.getElementById('reference-used-value').textContent =
+      `${ms(reference.ms)} (${REFERENCE_SOURCE_LABELS[reference.source]})`;
+    document.getElementById('reference-ms-input').value = reference.ms != null ? reference.ms.toFixed(1) : '';
+    document.getElementById('reference-clear').disabled = _referenceMs == null;
+
+    WaveformViewer.setReferenceMarker(reference.ms, reference.source === 'override' ? 'override' : undefined);
+    WaveformViewer.setPlaybackEndMarker(reference.ms !== rawMs ? rawMs : null);
+  }
+
+  // ── Response segments ──
+
+  /** { onsetMs, offsetMs } of the onset/offset markers (offset null unless after the onset), or null without an onset. */
+  function markerSpan() {
+    const onsetMs = WaveformViewer.getCurrentOnsetMs();
+    if (onsetMs == null) return null;
+    const offsetMs = WaveformViewer.getCurrentOffsetMs();
+    return { onsetMs, offsetMs: offsetMs != null && offsetMs > onsetMs ? offsetMs : null };
+  }
+
+  /** Add the marked attempt, labelled by its place in time (see Study.addSegment). */
+  function addSegmentFromMarkers() {
+    const span = markerSpan();
+    if (!_currentTrial || !span) return;
+    _segments = Study.addSegment(_segments, span);
+    segmentsChanged();
+  }
+
+  function segmentsChanged() {
+    renderSegments();
+    saveCurrentScore();
+    if (_onScoreChanged) _onScoreChanged();
+  }
+
+  /** Segment table and waveform spans; the segment the export policy uses is highlighted. */
+  function renderSegments() {
+    const ms = v => (v != null ? v.toFixed(1) : '—');
+    const labelOf = id => (Study.SEGMENT_LABELS.find(l => l.id === id) || { label: id || '' }).label;
+    const used = Study.scoreResponse({ segments: _segments }).segment;
+    const scale = Study.getScoreScale().filter(sc => sc.value !== 'NR');
+
+    document.getElementById('segment-table').style.display = _segments.length ? '' : 'none';
+    document.getElementById('segment-rows').innerHTML = _segments.map((seg, i) => `
+      <tr class="segment-row${seg === used ? ' segment-used' : ''}"${seg === used ? ' title="Used for accuracy_score and latency in the export"' : ''}>
+        <td>${i + 1}</td>
+        <td>${ms(seg.onsetMs)}</td>
+        <td>${ms(seg.offsetMs)}</td>
+        <td><select data-field="accuracy" data-index="${i}">
+          <option value="">—</option>
+          ${scale.map(sc => `<option value="${sc.value}"${sc.value === seg.accuracy ? ' selected' : ''}>${sc.label}</option>`).join('')}
+        </select></td>
+        <td><select data-field="label" data-index="${i}">
+          ${Study.SEGMENT_LABELS.map(l => `<option value="${l.id}"${l.id === seg.label ? ' selected' : ''}>${l.label}</option>`).join('')}
+        </select></td>
+        <td>
+          <button class="btn btn-sm" data-action="play" data-index="${i}" title="Play this segment">Play</button>
+          <button class="btn btn-sm" data-action="markers" data-index="${i}" title="Replace with the current onset/offset markers">Set from Markers</button>
+          <button class="btn btn-sm" data-action="remove" data-index="${i}" title="Remove segment">×</button>
+        </td>
+      </tr>`).join('');
+
+    WaveformViewer.setSegmentRegions(_segments.map((seg, i) => ({
+      label: `${i + 1} ${labelOf(seg.label)}`, startMs: seg.onsetMs, endMs: seg.offsetMs
+    })));
+  }
+
+  /**
+   * Outline the score ScoreSuggest derives from the transcription (test types
+   * with suggestScores only) and explain it. Only the rater's click scores.
+   */
+  function renderSuggestion() {
+    const el = document.getElementById('score-suggestion');
+    document.querySelectorAll('.btn-score').forEach(btn => btn.classList.remove('suggested'));
+    el.style.display = 'none';
+    if (!_currentTrial || !Study.getTestType(_dataset.testType).suggestScores) return;
+
+    const result = ScoreSuggest.suggest(_currentTrial.word, document.getElementById('trial-transcription').value, {
+      equivalents: Study.getWordEquivalents(_currentTrial.wordNormalized)
+    });
+    const scale = result && Study.findScore(result.score);
+    if (!scale) return;
+    const btn = document.querySelector(`.btn-score[data-score="${scale.value}"]`);
+    if (btn) btn.classList.add('suggested');
+    el.textContent = `Suggested: ${scale.label} — ${result.explanation}`;
+    el.style.display = '';
+  }
+
+  /** Datalist suggestions: the target word and, for L2-to-L1, its gloss (the expected answer). */
+  function renderTranscriptionSuggestions(trial, dataset) {
+    const suggestions = [trial.word];
+    if (dataset.testType === 'l2_to_l1') suggestions.push(Study.getWordGloss(trial.wordNormalized));
+    document.getElementById('transcription-suggestions').innerHTML = Array.from(new Set(suggestions.filter(Boolean)))
+      .map(s => `<option value="${HtmlUtil.escapeHtml(s)}"></option>`).join('');
+  }
+
   function setOnsetStatus(status, ms) {
     highlightOnsetButton(status);
+    renderResponseDuration();
     saveCurrentScore();
     if (_onScoreChanged) _onScoreChanged();
   }
@@ -90,13 +328,13 @@ const ScoringUI = (() => {
     const wordEl = document.getElementById('trial-word');
     const detailsEl = document.getElementById('trial-details');
     const refBtnContainer = document.getElementById('reference-audio-container');
-    const words = CsvLoader.getWords();
-    const english = words[trial.wordNormalized] || '';
-    const japanese = WORDS_JA[trial.wordNormalized] || '';
+    const { answerLanguage, raterLanguage } = Study.get();
+    const english = Study.getWordGloss(trial.wordNormalized, answerLanguage);
+    const japanese = raterLanguage !== answerLanguage ? Study.getWordGloss(trial.wordNormalized, raterLanguage) : '';
 
     if (dataset.testType === 'l2_to_l1') {
       wordEl.textContent = trial.word;
-      detailsEl.innerHTML = `<span class="expected-answer">正解: <strong>${english}</strong>${japanese ? ` (${japanese})` : ''}</span> <span class="voice-tag">${trial.voice}</span>`;
+      detailsEl.innerHTML = `<span class="expected-answer">正解: <strong>${english}</strong>${japanese ? ` (${japanese})` : ''}</span> <span class="voice-tag">${HtmlUtil.escapeHtml(trial.voice)}</span>`;
       refBtnContainer.style.display = 'none';
     } else {
       wordEl.textContent = trial.word;
@@ -104,10 +342,22 @@ const ScoringUI = (() => {
       refBtnContainer.style.display = '';
     }
 
-    // Dialect note for manzana/lápiz
-    const dialectNote = document.getElementById('dialect-note');
-    const wordLower = trial.wordNormalized.toLowerCase();
-    dialectNote.style.display = (wordLower === 'manzana' || wordLower === 'lapiz') ? 'block' : 'none';
+    // Per-word scoring note (e.g. accepted dialect variants)
+    const wordNote = document.getElementById('word-note');
+    const note = Study.getWordNote(trial.wordNormalized);
+    wordNote.textContent = note;
+    wordNote.style.display = note ? 'block' : 'none';
+
+    // Rows of this participant's CSV that could not be read, and warnings such as lost digits (see CsvParser)
+    const csvIssues = document.getElementById('csv-issues');
+    const { errors: csvErrors = [], warnings: csvWarnings = [] } = participant.csvIssues || {};
+    const formatIssues = issues => issues.map(e => `line ${e.line}: ${e.message}`).join('; ');
+    const issueText = [
+      csvErrors.length ? `rows skipped — ${formatIssues(csvErrors)}` : '',
+      csvWarnings.length ? `warnings — ${formatIssues(csvWarnings)}` : ''
+    ].filter(Boolean).join(' | ');
+    csvIssues.textContent = issueText ? `results_${participant.id}.csv: ${issueText}` : '';
+    csvIssues.style.display = issueText ? 'block' : 'none';
 
     // Stimulus image (PictureNaming only)
     const imgContainer = document.getElementById('stimulus-image-container');
@@ -130,32 +380,71 @@ const ScoringUI = (() => {
     statusEl.textContent = trial.latency_status;
     statusEl.style.color = trial.latency_status === 'ok' ? 'var(--success)' : 'var(--warning)';
 
+    renderQuality(AudioQuality.getMetrics(dataset.id, participant.id, trial.trial));
+
     // Score hint
-    const hintEl = document.getElementById('score-hint');
-    if (dataset.testType === 'l2_to_l1') {
-      hintEl.textContent = '0.5 is rarely used for L1 translation recall';
-    } else {
-      hintEl.textContent = '0.5 = missing/incorrect phoneme(s) within a single syllable';
-    }
+    document.getElementById('score-hint').textContent = Study.getTestType(dataset.testType).scoreHint || '';
 
     // Load existing score
     const existingScore = State.getScore(participant.id, trial.trial);
+    highlightRubricButtons((existingScore && existingScore.dimensions) || {});
+    renderTranscriptionSuggestions(trial, dataset);
+    document.getElementById('trial-transcription').value = (existingScore && existingScore.transcription) || '';
+    renderSuggestion();
     if (existingScore) {
       highlightScoreButton(existingScore.accuracy);
       highlightOnsetButton(existingScore.onsetStatus);
+      highlightOffsetButton(existingScore.offsetStatus);
       document.getElementById('trial-notes').value = existingScore.notes || '';
       document.getElementById('onset-ms-input').value =
         existingScore.onsetMs != null ? existingScore.onsetMs.toFixed(1) : '';
+      document.getElementById('offset-ms-input').value =
+        existingScore.offsetMs != null ? existingScore.offsetMs.toFixed(1) : '';
     } else {
       clearScoreButtons();
       clearOnsetButtons();
+      highlightOffsetButton(null);
       document.getElementById('trial-notes').value = '';
       document.getElementById('onset-ms-input').value =
         trial.onset_ms_from_recording_start != null ? trial.onset_ms_from_recording_start.toFixed(1) : '';
+      document.getElementById('offset-ms-input').value = '';
     }
 
-    // Onset click-to-set mode
+    renderRedetectParams(existingScore && existingScore.redetectParams);
+
+    _segments = ((existingScore && existingScore.segments) || []).map(seg => ({ ...seg }));
+    renderSegments();
+
+    _referenceMs = existingScore && existingScore.referenceMs != null ? existingScore.referenceMs : null;
+    renderReference();
+
+    // Auto offset is detected once the recording is decoded (detectAutoOffset)
+    _autoOffsetMs = null;
+    document.getElementById('auto-offset-value').textContent = '--';
+    document.getElementById('response-duration-value').textContent = '--';
+
+    // Onset/offset click-to-set mode
     WaveformViewer.enableClickToSet(false);
+    WaveformViewer.enableClickToSet(false, 'offset');
+    WaveformViewer.enableClickToSet(false, 'reference');
+  }
+
+  const QUALITY_LABELS = {
+    clipping: 'Clipping', quiet: 'Low level', noisy: 'Noisy', short: 'Little speech'
+  };
+
+  /** Recording metrics and warnings under the waveform (null = not analyzed yet). */
+  function renderQuality(metrics) {
+    const el = document.getElementById('quality-info');
+    if (!metrics) {
+      el.innerHTML = '<span>Recording quality: analyzing...</span>';
+      return;
+    }
+    const fmt = (v, unit) => (v != null ? `${v.toFixed(1)} ${unit}` : '—');
+    const flags = AudioQuality.flagsFor(metrics, Study.get().audioQuality);
+    el.innerHTML = flags.map(f => `<span class="quality-flag">${QUALITY_LABELS[f]}</span>`).join('') +
+      `<span>Peak ${fmt(metrics.peakDb, 'dBFS')} · Clipping ${metrics.clippingPct.toFixed(2)}% · ` +
+      `Noise ${fmt(metrics.noiseFloorDb, 'dB')} · SNR ${fmt(metrics.snrDb, 'dB')} · Speech ${metrics.speechMs} ms</span>`;
   }
 
   function setAccuracyScore(score) {
@@ -163,6 +452,15 @@ const ScoringUI = (() => {
     if (score === 'NR') {
       handleOnsetAction('no_speech');
     }
+    renderResponseDuration();
+    saveCurrentScore();
+    if (_onScoreChanged) _onScoreChanged();
+  }
+
+  function setDimensionValue(dimensionId, value) {
+    document.querySelectorAll(`.btn-rubric[data-dimension="${dimensionId}"]`).forEach(btn => {
+      btn.classList.toggle('active', value != null && btn.dataset.value === String(value));
+    });
     saveCurrentScore();
     if (_onScoreChanged) _onScoreChanged();
   }
@@ -178,17 +476,61 @@ const ScoringUI = (() => {
       WaveformViewer.enableClickToSet(true);
     } else if (status === 'no_speech') {
       WaveformViewer.enableClickToSet(false);
+    } else if (status === 'redetected') {
+      WaveformViewer.enableClickToSet(false);
     }
+    renderResponseDuration();
 
     saveCurrentScore();
     if (_onScoreChanged) _onScoreChanged();
   }
 
+  /** Offset statuses mirror the onset workflow: confirmed, corrected (drag) or manual (click). */
+  function handleOffsetAction(status) {
+    highlightOffsetButton(status);
+    WaveformViewer.enableClickToSet(status === 'manual', 'offset');
+    renderResponseDuration();
+
+    saveCurrentScore();
+    if (_onScoreChanged) _onScoreChanged();
+  }
+
+  /**
+   * Detect the end of the response in the loaded recording, searching from
+   * the onset marker (or the search start). Returns the offset in ms or null.
+   */
+  function detectAutoOffset(audio) {
+    if (!_currentTrial) return null;
+    const onsetMs = WaveformViewer.getCurrentOnsetMs();
+    _autoOffsetMs = OnsetDetector.detectOffset(audio.samples, audio.sampleRate, {
+      searchFromMs: onsetMs != null ? onsetMs : getSearchStartMs(_currentTrial, _dataset, { referenceMs: _referenceMs })
+    }).offsetMs;
+    document.getElementById('auto-offset-value').textContent = _autoOffsetMs != null ? _autoOffsetMs.toFixed(1) : 'N/A';
+    return _autoOffsetMs;
+  }
+
+  /** Response duration (offset - onset), or null when either is missing or the offset is not after the onset. */
+  function getResponseDurationMs(onsetMs, offsetMs) {
+    if (onsetMs == null || offsetMs == null || offsetMs <= onsetMs) return null;
+    return offsetMs - onsetMs;
+  }
+
+  function renderResponseDuration() {
+    const duration = getActiveScore() === 'NR' ? null
+      : getResponseDurationMs(WaveformViewer.getCurrentOnsetMs(), WaveformViewer.getCurrentOffsetMs());
+    document.getElementById('response-duration-value').textContent = duration != null ? duration.toFixed(1) : '--';
+  }
+
   function highlightScoreButton(score) {
     document.querySelectorAll('.btn-score').forEach(btn => {
-      const raw = btn.dataset.score;
-      const btnScore = raw === 'NR' ? 'NR' : parseFloat(raw);
-      btn.classList.toggle('active', btnScore === score);
+      btn.classList.toggle('active', Study.parseScore(btn.dataset.score) === score);
+    });
+  }
+
+  function highlightRubricButtons(dimensions) {
+    document.querySelectorAll('.btn-rubric').forEach(btn => {
+      const value = dimensions[btn.dataset.dimension];
+      btn.classList.toggle('active', value != null && btn.dataset.value === String(value));
     });
   }
 
@@ -198,6 +540,12 @@ const ScoringUI = (() => {
     });
   }
 
+  function highlightOffsetButton(status) {
+    document.querySelectorAll('.btn-offset').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.status === status);
+    });
+  }
+
   function clearScoreButtons() {
     document.querySelectorAll('.btn-score').forEach(btn => btn.classList.remove('active'));
   }
@@ -208,9 +556,17 @@ const ScoringUI = (() => {
 
   function getActiveScore() {
     const active = document.querySelector('.btn-score.active');
-    if (!active) return null;
-    const raw = active.dataset.score;
-    return raw === 'NR' ? 'NR' : parseFloat(raw);
+    return active ? Study.parseScore(active.dataset.score) : null;
+  }
+
+  /** { dimensionId: value } of the selected rubric buttons, or null if the study has no rubric. */
+  function getActiveDimensions() {
+    if (Study.getRubric().length === 0) return null;
+    const dimensions = {};
+    document.querySelectorAll('.btn-rubric.active').forEach(btn => {
+      dimensions[btn.dataset.dimension] = Study.parseRubricValue(btn.dataset.dimension, btn.dataset.value);
+    });
+    return dimensions;
   }
 
   function getActiveOnsetStatus() {
@@ -218,40 +574,143 @@ const ScoringUI = (() => {
     return active ? active.dataset.status : null;
   }
 
+  function getActiveOffsetStatus() {
+    const active = document.querySelector('.btn-offset.active');
+    return active ? active.dataset.status : null;
+  }
+
   function saveCurrentScore() {
     if (!_currentTrial || !_currentParticipant) return;
 
     const accuracy = getActiveScore();
     const onsetStatus = getActiveOnsetStatus();
+    const offsetStatus = getActiveOffsetStatus();
     const notes = document.getElementById('trial-notes').value;
+    const transcription = document.getElementById('trial-transcription').value;
     let onsetMs = WaveformViewer.getCurrentOnsetMs();
+    let offsetMs = WaveformViewer.getCurrentOffsetMs();
 
-    // NRの場合、onsetMsをnullにする（発話がないため）
+    // NRの場合、onsetMs/offsetMsをnullにする（発話がないため）
     if (accuracy === 'NR') {
       onsetMs = null;
+      offsetMs = null;
     }
 
-    if (accuracy == null && onsetStatus == null) return;
+    const dimensions = getActiveDimensions();
+    if (accuracy == null && onsetStatus == null && offsetStatus == null && !transcription && _segments.length === 0 &&
+        _referenceMs == null && !(dimensions && Object.keys(dimensions).length > 0) &&
+        !State.getScore(_currentParticipant.id, _currentTrial.trial)) return;   // clearing an override still saves
+
+    // Detector parameters are kept only while the re-detected onset is in use
+    let redetectParams = null;
+    if (onsetStatus === 'redetected') {
+      const existing = State.getScore(_currentParticipant.id, _currentTrial.trial);
+      redetectParams = (_redetectCandidate && _redetectCandidate.params) ||
+        (existing && existing.redetectParams) || null;
+    }
 
     State.setScore(_currentParticipant.id, _currentTrial.trial, {
       accuracy,
       onsetMs,
       onsetStatus,
-      notes
+      redetectParams,
+      offsetMs,
+      offsetStatus,
+      referenceMs: _referenceMs,
+      // Copies, so later edits to _segments do not change the stored score
+      segments: _segments.length ? _segments.map(seg => ({ ...seg })) : null,
+      notes,
+      transcription: transcription || null,
+      ...(dimensions ? { dimensions } : {})
+    });
+  }
+
+  // ── Onset re-detection ──
+
+  function renderRedetectParams(params) {
+    const p = { ...OnsetDetector.DEFAULTS, ...(params || {}) };
+    document.getElementById('redetect-threshold').value = p.thresholdDb;
+    document.getElementById('redetect-frame').value = p.frameMs;
+    document.getElementById('redetect-min-frames').value = p.minFrames;
+    document.getElementById('redetect-result').textContent = '';
+    _redetectCandidate = null;
+  }
+
+  /**
+   * Search start: the rater's reference point when the score overrides it,
+   * else the green reference marker (L2-to-L1) or the image onset.
+   */
+  function getSearchStartMs(trial, dataset, score) {
+    if (score && score.referenceMs != null) return score.referenceMs;
+    if (dataset.testType === 'l2_to_l1') {
+      return trial.playback_end_ms_rel != null ? Export.getCorrectedPlaybackEnd(trial) : 0;
+    }
+    return trial.image_onset_ms_rel || 0;
+  }
+
+  function previewRedetect() {
+    if (!_currentTrial) return null;
+    const audio = WaveformViewer.getDecodedAudio();
+    const resultEl = document.getElementById('redetect-result');
+    if (!audio) {
+      resultEl.textContent = 'Audio not loaded';
+      return null;
+    }
+
+    const { params, errors } = OnsetDetector.parseParams({
+      thresholdDb: document.getElementById('redetect-threshold').value,
+      frameMs: document.getElementById('redetect-frame').value,
+      minFrames: document.getElementById('redetect-min-frames').value
     });
+    if (errors.length > 0) {
+      _redetectCandidate = null;
+      WaveformViewer.setCandidateMarker(null);
+      resultEl.textContent = `Cannot re-detect: ${errors.join('; ')}`;
+      return null;
+    }
+
+    _redetectCandidate = OnsetDetector.detect(audio.samples, audio.sampleRate, {
+      ...params,
+      searchFromMs: getSearchStartMs(_currentTrial, _dataset, { referenceMs: _referenceMs })
+    });
+
+    WaveformViewer.setCandidateMarker(_redetectCandidate.onsetMs);
+    resultEl.textContent = _redetectCandidate.onsetMs != null
+      ? `Candidate: ${_redetectCandidate.onsetMs.toFixed(1)} ms (confidence ${_redetectCandidate.confidence.toFixed(2)})`
+      : `No speech found after ${_redetectCandidate.params.searchFromMs.toFixed(0)} ms`;
+    return _redetectCandidate;
+  }
+
+  /** Use the previewed candidate (previewing first if needed) as the onset. */
+  function acceptRedetect() {
+    const candidate = _redetectCandidate || previewRedetect();
+    if (!candidate || candidate.onsetMs == null) return;
+    WaveformViewer.setCandidateMarker(null);
+    WaveformViewer.setOnsetMarker(candidate.onsetMs);
+    handleOnsetAction('redetected');
   }
 
+  /** Score with a hotkey from the scale or the rubric. Returns false if the key is not a score key. */
   function scoreByKey(key) {
-    if (key === '9') setAccuracyScore('NR');
-    else if (key === '0') setAccuracyScore(0);
-    else if (key === '5') setAccuracyScore(0.5);
-    else if (key === '1') setAccuracyScore(1);
+    const scale = Study.findScoreByKey(key);
+    if (scale) {
+      setAccuracyScore(scale.value);
+      return true;
+    }
+    const rubric = Study.findRubricByKey(key);
+    if (!rubric) return false;
+    setDimensionValue(rubric.dimension.id, rubric.value.value);
+    return true;
   }
 
   function confirmOnset() {
     handleOnsetAction('confirmed');
   }
 
+  function confirmOffset() {
+    handleOffsetAction('confirmed');
+  }
+
   // ── Reference Pronunciation (recorded audio with SpeechSynthesis fallback) ──
 
   let _refAudio = null;
@@ -270,18 +729,20 @@ const ScoringUI = (() => {
       console.warn('Reference audio not found, falling back to SpeechSynthesis');
       speechSynthesis.cancel();
       const utterance = new SpeechSynthesisUtterance(_currentTrial.word);
-      utterance.lang = 'es-ES';
+      const lang = Study.get().targetLanguage;
+      utterance.lang = lang;
       utterance.rate = 0.85;
       const voices = speechSynthesis.getVoices();
-      const esVoice = voices.find(v => v.lang.startsWith('es'));
+      const esVoice = voices.find(v => v.lang.startsWith(lang.split('-')[0]));
       if (esVoice) utterance.voice = esVoice;
       speechSynthesis.speak(utterance);
     });
   }
 
   return {
-    init, renderTrial, setAccuracyScore, handleOnsetAction,
-    saveCurrentScore, scoreByKey, confirmOnset, getActiveScore, getActiveOnsetStatus,
-    playReference
+    init, renderTrial, setAccuracyScore, handleOnsetAction, handleOffsetAction,
+    saveCurrentScore, scoreByKey, confirmOnset, confirmOffset, getActiveScore, getActiveOnsetStatus,
+    getSearchStartMs, renderQuality, detectAutoOffset, renderResponseDuration, getResponseDurationMs, renderSegments,
+    setReferenceOverride, renderReference, playReference
   };
 })();
@@ -0,0 +1,177 @@
+/**
+ * session-import.js - Restore or merge an Export JSON backup
+ * Compares the backup with the local session of the same rater, dataset and
+ * mode (a consensus export goes to the adjudicator's consensus session), then
+ * replaces it or merges trial by trial (latest scoredAt wins).
+ */
+const SessionImport = (() => {
+  let _backup = null;   // parsed export (Reliability.parseExport)
+  let _local = null;    // stored session for the same rater/dataset, or null
+  let _overlay = null;
+
+  // ── Diff / merge ──
+
+  /**
+   * Classify backup trials against local ones:
+   *   added       - only in the backup
+   *   changed     - different, backup scored later (merge takes the backup)
+   *   conflicting - different, local scored later or at the same time (merge keeps local)
+   */
+  function diffScores(localScores, backupScores) {
+    const diff = { added: [], changed: [], conflicting: [], unchanged: 0, localOnly: 0 };
+    for (const [scoreKey, theirs] of Object.entries(backupScores)) {
+      const mine = localScores[scoreKey];
+      if (!mine) diff.added.push(scoreKey);
+      else if (State.isSameScore(mine, theirs)) diff.unchanged++;
+      else if (SessionMerge.scoredAtMs(theirs) > SessionMerge.scoredAtMs(mine)) diff.changed.push(scoreKey);
+      else diff.conflicting.push(scoreKey);
+    }
+    diff.localOnly = Object.keys(localScores).filter(k => !backupScores[k]).length;
+    return diff;
+  }
+
+  /** The backup as a complete session (used when there is nothing to merge with, or on Replace). */
+  function sessionFromBackup(backup) {
+    return {
+      raterId: backup.raterId,
+      datasetId: backup.datasetId,
+      assignedParticipants: SessionMerge.participantsOf(backup),
+      currentParticipantIndex: 0,
+      currentTrialIndex: 0,
+      scores: backup.scores,
+      shuffleOrders: backup.shuffleOrders,
+      history: backup.history,
+      deletedScores: backup.deletedScores,
+      ...(backup.mode === 'adjudication'
+        ? { mode: backup.mode, sourceRaters: backup.sourceRaters, thresholdMs: backup.thresholdMs }
+        : {})
+    };
+  }
+
+  // ── Dialog ──
+
+  /** Read a backup file chosen on the setup screen and show the import dialog. */
+  async function open(file) {
+    let backup;
+    try {
+      backup = Reliability.parseExport(await file.text(), file.name);
+      if (!App.getIndex().datasets.some(d => d.id === backup.datasetId)) {
+        throw new Error(`${file.name}: unknown dataset "${backup.datasetId}"`);
+      }
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+
+    _backup = backup;
+    _local = State.load(backup.raterId, backup.datasetId, backup.mode);
+    render(file.name);
+  }
+
+  function close() {
+    if (_overlay) _overlay.remove();
+    _overlay = null;
+    _backup = null;
+    _local = null;
+  }
+
+  function fmtScore(score) {
+    if (!score) return '—';
+    const onset = score.onsetMs != null ? `${score.onsetMs.toFixed(1)} ms` : '—';
+    const offset = score.offsetMs != null ? ` / offset ${score.offsetMs.toFixed(1)} ms` : '';
+    const segments = score.segments && score.segments.length ? ` / ${score.segments.length} segment(s)` : '';
+    const dimensions = Object.entries(score.dimensions || {}).map(([id, v]) => `${id}=${v}`).join(', ');
+    return `${score.accuracy != null ? score.accuracy : '—'} / ${onset} / ${score.onsetStatus || '—'}${offset}${segments}` +
+      (dimensions ? ` / ${dimensions}` : '') + (score.transcription ? ` / [${score.transcription}]` : '') +
+      (score.notes ? ` / “${score.notes}”` : '');
+  }
+
+  function fmtTime(score) {
+    return score && score.scoredAt ? new Date(score.scoredAt).toLocaleString() : '—';
+  }
+
+  function diffRows(keys, kind) {
+    return keys.map(scoreKey => {
+      const mine = _local.scores[scoreKey];
+      const theirs = _backup.scores[scoreKey];
+      const idx = scoreKey.lastIndexOf('_');
+      return `<tr${kind === 'conflicting' ? ' class="row-highlight"' : ''}>
+        <td>${HtmlUtil.escapeHtml(scoreKey.slice(0, idx))}</td><td>${HtmlUtil.escapeHtml(scoreKey.slice(idx + 1))}</td><td>${kind}</td>
+        <td>${HtmlUtil.escapeHtml(fmtScore(mine))}<br><span class="muted">${fmtTime(mine)}</span></td>
+        <td>${HtmlUtil.escapeHtml(fmtScore(theirs))}<br><span class="muted">${fmtTime(theirs)}</span></td>
+        <td>${kind === 'changed' ? 'backup' : 'local'}</td>
+      </tr>`;
+    }).join('');
+  }
+
+  function render(fileName) {
+    const scoredIn = scores => Object.values(scores).filter(Study.isScored).length;
+    const header = `<h3>Import Session</h3>
+      <p>${HtmlUtil.escapeHtml(fileName)}: ${_backup.mode === 'adjudication' ? 'consensus of adjudicator' : 'rater'}
+        <strong>${HtmlUtil.escapeHtml(_backup.raterId)}</strong>, dataset <strong>${HtmlUtil.escapeHtml(_backup.datasetId)}</strong>,
+        ${scoredIn(_backup.scores)} trials scored.</p>`;
+
+    _overlay = document.createElement('div');
+    _overlay.className = 'export-popup-overlay';
+
+    if (!_local) {
+      _overlay.innerHTML = `<div class="export-popup import-popup">${header}
+        <p>There is no local session for this rater and dataset yet.</p>
+        <div class="export-popup-buttons">
+          <button class="btn btn-primary" data-action="replace">Import</button>
+          <button class="btn" data-action="cancel">Cancel</button>
+        </div></div>`;
+    } else {
+      const diff = diffScores(_local.scores, _backup.scores);
+      const differing = diff.changed.length + diff.conflicting.length;
+      _overlay.innerHTML = `<div class="export-popup import-popup">${header}
+        <p>Local session: ${scoredIn(_local.scores)} trials scored, last saved ${new Date(_local.lastSaved).toLocaleString()}.</p>
+        <ul class="import-summary">
+          <li><strong>${diff.added.length}</strong> new trial(s) only in the backup</li>
+          <li><strong>${diff.changed.length}</strong> changed trial(s), backup scored later</li>
+          <li><strong>${diff.conflicting.length}</strong> conflicting trial(s), local scored later</li>
+          <li>${diff.unchanged} identical, ${diff.localOnly} only in the local session</li>
+        </ul>
+        ${differing > 0 ? `<div class="import-diff"><table class="data-table">
+          <thead><tr><th>P</th><th>Trial</th><th></th><th>Local</th><th>Backup</th><th>Merge keeps</th></tr></thead>
+          <tbody>${diffRows(diff.changed, 'changed')}${diffRows(diff.conflicting, 'conflicting')}</tbody>
+        </table></div>` : ''}
+        <p class="muted">Merge keeps the later-scored version of each trial. Replace discards the local session.
+          Either way the current local session is kept as a snapshot (Restore Earlier Version).</p>
+        <div class="export-popup-buttons">
+          <button class="btn btn-primary" data-action="merge">Merge</button>
+          <button class="btn" data-action="replace">Replace</button>
+          <button class="btn" data-action="cancel">Cancel</button>
+        </div></div>`;
+    }
+
+    document.body.appendChild(_overlay);
+    _overlay.querySelectorAll('[data-action]').forEach(btn => {
+      btn.addEventListener('click', () => apply(btn.dataset.action));
+    });
+  }
+
+  async function apply(action) {
+    if (action === 'cancel') {
+      close();
+      return;
+    }
+    if (action === 'replace' && _local &&
+        !confirm(`Replace the local session of ${_backup.raterId} with the backup?`)) return;
+
+    // Merge: local trials win ties; new or later-scored backup trials are taken
+    const session = action === 'merge' ? SessionMerge.mergeSessions(_local, _backup) : sessionFromBackup(_backup);
+    const { raterId, datasetId, mode } = _backup;
+    try {
+      await State.importSession(session, { replace: action === 'replace' });
+    } catch (e) {
+      alert(`Import failed: ${e.message}`);
+      return;
+    }
+    close();
+    if (mode === 'adjudication') Adjudication.resume();
+    else App.selectSession(raterId, datasetId);
+  }
+
+  return { open, diffScores };
+})();
@@ -0,0 +1,78 @@
+/**
+ * session-merge.js - Per-trial last-writer-wins merge of scoring sessions
+ * Used by the session import (browser) and the sync server (Node).
+ * A trial put back to unscored leaves a tombstone (deletedScores: { scoreKey:
+ * deletedAt }), so a merge with an older copy does not bring the score back.
+ */
+const SessionMerge = (() => {
+  function clone(obj) {
+    return JSON.parse(JSON.stringify(obj));
+  }
+
+  /** scoredAt as epoch ms (0 when missing or unparseable). */
+  function scoredAtMs(score) {
+    const t = score && score.scoredAt ? Date.parse(score.scoredAt) : NaN;
+    return isNaN(t) ? 0 : t;
+  }
+
+  function deletedAtMs(session, scoreKey) {
+    const t = session.deletedScores && session.deletedScores[scoreKey] ? Date.parse(session.deletedScores[scoreKey]) : NaN;
+    return isNaN(t) ? 0 : t;
+  }
+
+  /** Assigned participants, or those found in the score keys ("pid_trial") for bare exports. */
+  function participantsOf(session) {
+    if (session.assignedParticipants && session.assignedParticipants.length > 0) {
+      return session.assignedParticipants.slice();
+    }
+    return Array.from(new Set(Object.keys(session.scores || {}).map(k => k.slice(0, k.lastIndexOf('_')))));
+  }
+
+  /**
+   * Merge `other` into a copy of `base`. A trial from `other` replaces the
+   * base trial only if it is new or scored strictly later; a tombstone removes
+   * a trial scored at or before its time (a later score drops it). Session fields
+   * (position, queue, ...) come from `base`; participants, shuffle orders
+   * and edit histories are combined.
+   */
+  function mergeSessions(base, other) {
+    const merged = clone(base);
+    merged.scores = merged.scores || {};
+    merged.assignedParticipants = Array.from(new Set([...participantsOf(base), ...participantsOf(other)]));
+
+    for (const [scoreKey, theirs] of Object.entries(other.scores || {})) {
+      const mine = merged.scores[scoreKey];
+      if (!mine || scoredAtMs(theirs) > scoredAtMs(mine)) merged.scores[scoreKey] = clone(theirs);
+    }
+
+    merged.deletedScores = merged.deletedScores || {};
+    for (const [scoreKey, deletedAt] of Object.entries(other.deletedScores || {})) {
+      if (deletedAtMs(other, scoreKey) > deletedAtMs(merged, scoreKey)) merged.deletedScores[scoreKey] = deletedAt;
+    }
+    for (const scoreKey of Object.keys(merged.deletedScores)) {
+      const score = merged.scores[scoreKey];
+      if (!score) continue;
+      if (scoredAtMs(score) <= deletedAtMs(merged, scoreKey)) delete merged.scores[scoreKey];
+      else delete merged.deletedScores[scoreKey];
+    }
+
+    merged.shuffleOrders = { ...clone(other.shuffleOrders || {}), ...(merged.shuffleOrders || {}) };
+
+    merged.history = merged.history || {};
+    for (const [scoreKey, entries] of Object.entries(other.history || {})) {
+      const own = merged.history[scoreKey] || [];
+      const seen = new Set(own.map(e => JSON.stringify(e)));
+      merged.history[scoreKey] = own.concat(entries.filter(e => !seen.has(JSON.stringify(e))))
+        .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    }
+
+    if (other.lastSaved && (!merged.lastSaved || other.lastSaved > merged.lastSaved)) {
+      merged.lastSaved = other.lastSaved;
+    }
+    return merged;
+  }
+
+  return { scoredAtMs, participantsOf, mergeSessions };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SessionMerge;
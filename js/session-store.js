@@ -0,0 +1,176 @@
+/**
+ * session-store.js - IndexedDB persistence for scoring sessions
+ * Sessions are cached in memory after open() so State can read them
+ * synchronously; writes go to IndexedDB and reject on failure (e.g. quota).
+ * Rolling snapshots of each session are kept in a second object store.
+ * Falls back to localStorage when IndexedDB cannot be opened.
+ */
+const SessionStore = (() => {
+  const DB_NAME = 'vocabScorer';
+  const DB_VERSION = 1;
+  const SESSIONS = 'sessions';     // storage key -> session object
+  const SNAPSHOTS = 'snapshots';   // { id, sessionKey, takenAt, data }
+
+  let _db = null;
+  const _cache = new Map();
+
+  function clone(obj) {
+    return JSON.parse(JSON.stringify(obj));
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(SESSIONS)) db.createObjectStore(SESSIONS);
+        if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+          db.createObjectStore(SNAPSHOTS, { keyPath: 'id', autoIncrement: true })
+            .createIndex('sessionKey', 'sessionKey');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+    });
+  }
+
+  function localStorageKeys(prefixes) {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (prefixes.some(p => k.startsWith(p))) keys.push(k);
+    }
+    return keys;
+  }
+
+  /**
+   * Open the database, load every session into memory, and move
+   * localStorage sessions whose keys start with one of `prefixes` into it.
+   */
+  async function open(prefixes) {
+    try {
+      _db = await openDb();
+    } catch (e) {
+      console.error('IndexedDB unavailable, keeping sessions in localStorage:', e);
+      _db = null;
+      for (const k of localStorageKeys(prefixes)) {
+        try {
+          _cache.set(k, JSON.parse(localStorage.getItem(k)));
+        } catch (err) { /* skip */ }
+      }
+      return;
+    }
+
+    const store = _db.transaction(SESSIONS, 'readonly').objectStore(SESSIONS);
+    const [keys, values] = await Promise.all([request(store.getAllKeys()), request(store.getAll())]);
+    keys.forEach((k, i) => _cache.set(k, values[i]));
+
+    await migrateLocalStorage(prefixes);
+  }
+
+  async function migrateLocalStorage(prefixes) {
+    for (const k of localStorageKeys(prefixes)) {
+      let data;
+      try {
+        data = JSON.parse(localStorage.getItem(k));
+      } catch (e) {
+        console.error(`Not migrating unreadable localStorage session ${k}:`, e);
+        continue;
+      }
+      // A previous migration may have stopped before removing the old copy
+      const existing = _cache.get(k);
+      const isNewer = !existing || !existing.lastSaved || (data && data.lastSaved > existing.lastSaved);
+      try {
+        if (isNewer) await put(k, data);
+        localStorage.removeItem(k);
+      } catch (e) {
+        console.error(`Failed to migrate ${k} to IndexedDB:`, e);
+      }
+    }
+  }
+
+  function isIndexedDb() {
+    return _db != null;
+  }
+
+  /** Copy of the stored session, or null. */
+  function get(key) {
+    return _cache.has(key) ? clone(_cache.get(key)) : null;
+  }
+
+  function has(key) {
+    return _cache.has(key);
+  }
+
+  function list(prefix) {
+    return Array.from(_cache.entries())
+      .filter(([k]) => k.startsWith(prefix))
+      .map(([, v]) => clone(v));
+  }
+
+  /** Write a session. Rejects if the write fails. */
+  async function put(key, data) {
+    const copy = clone(data);
+    if (_db) {
+      const tx = _db.transaction(SESSIONS, 'readwrite');
+      tx.objectStore(SESSIONS).put(copy, key);
+      await transactionDone(tx);
+    } else {
+      localStorage.setItem(key, JSON.stringify(copy));
+    }
+    _cache.set(key, copy);
+  }
+
+  /**
+   * Write a session to localStorage synchronously, for page unload where an
+   * IndexedDB write may not complete. open() moves it back in if it is newer.
+   */
+  function putSync(key, data) {
+    localStorage.setItem(key, JSON.stringify(data));
+  }
+
+  // ── Snapshots ──
+
+  /** Store a snapshot of a session, keeping only the newest `limit` for that session. */
+  async function addSnapshot(key, data, limit) {
+    if (!_db) return;
+    const tx = _db.transaction(SNAPSHOTS, 'readwrite');
+    const store = tx.objectStore(SNAPSHOTS);
+    store.add({ sessionKey: key, takenAt: new Date().toISOString(), data: clone(data) });
+    const ids = await request(store.index('sessionKey').getAllKeys(key));
+    ids.sort((a, b) => a - b).slice(0, Math.max(0, ids.length - limit)).forEach(id => store.delete(id));
+    await transactionDone(tx);
+  }
+
+  /** Snapshots of a session, newest first. */
+  async function listSnapshots(key) {
+    if (!_db) return [];
+    const store = _db.transaction(SNAPSHOTS, 'readonly').objectStore(SNAPSHOTS);
+    const snapshots = await request(store.index('sessionKey').getAll(key));
+    return snapshots.sort((a, b) => b.id - a.id);
+  }
+
+  async function getSnapshot(id) {
+    if (!_db) return null;
+    const store = _db.transaction(SNAPSHOTS, 'readonly').objectStore(SNAPSHOTS);
+    return (await request(store.get(id))) || null;
+  }
+
+  return { open, isIndexedDb, get, has, list, put, putSync, addSnapshot, listSnapshots, getSnapshot };
+})();
@@ -1,16 +1,110 @@
 /**
- * state.js - localStorage persistence with shuffle order support
+ * state.js - Session state with shuffle order support
+ * Persisted through SessionStore (IndexedDB), with rolling snapshots, and
+ * pushed to the sync server when the site is served by one.
  */
 const State = (() => {
   let _state = null;
   let _saveTimeout = null;
   const STORAGE_PREFIX = 'vocabScorer_';
+  const ADJUDICATION_PREFIX = 'vocabAdjudication_';
 
-  function key(raterId, datasetId) {
-    return `${STORAGE_PREFIX}${raterId}_${datasetId}`;
+  // Score fields tracked by the edit history
+  const HISTORY_FIELDS = ['accuracy', 'onsetMs', 'onsetStatus', 'redetectParams', 'offsetMs', 'offsetStatus',
+    'referenceMs', 'segments', 'notes', 'dimensions', 'transcription'];
+  // Consecutive edits to one text field within this window are one history entry (text fields save per keystroke)
+  const TEXT_FIELDS = ['notes', 'transcription'];
+  const TEXT_COALESCE_MS = 3000;
+  const UNDO_LIMIT = 200;
+
+  let _undoStack = [];   // [{ participantId, trial, prev, next }] for this browser session only
+  let _redoStack = [];
+
+  // Rolling snapshots: at most one per session every SNAPSHOT_INTERVAL_MS, newest SNAPSHOT_LIMIT kept
+  const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+  const SNAPSHOT_LIMIT = 20;
+  const _lastSnapshotAt = new Map();   // storage key -> ms
+
+  let _writesInFlight = 0;
+  let _writeFailed = false;
+  let _writeError = null;   // error of the latest save, null once a save succeeds
+  let _onSaveStatus = null;
+
+  /** Open storage (migrating localStorage sessions) before any other call. */
+  async function init() {
+    await SessionStore.open([STORAGE_PREFIX, ADJUDICATION_PREFIX]);
+    window.addEventListener('pagehide', flushSync);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushSync();
+    });
+    SyncClient.onPushed(clearSyncReplace);
+    if (await SyncClient.init()) await syncAll();
+  }
+
+  /**
+   * Exchange every session with the sync server at startup: local sessions
+   * are pushed and the merged copy kept (a replaced session overwrites the
+   * server copy, see replaceStored); server-only sessions are pulled.
+   * On failure the local copies are left as they are.
+   */
+  async function syncAll() {
+    try {
+      const sessions = new Map();   // storage key -> { raterId, datasetId, mode }
+      ((await SyncClient.listSessions()) || []).forEach(r => sessions.set(key(r.raterId, r.datasetId, r.mode), r));
+      [...SessionStore.list(STORAGE_PREFIX), ...SessionStore.list(ADJUDICATION_PREFIX)]
+        .filter(isValidSession)
+        .forEach(s => sessions.set(key(s.raterId, s.datasetId, s.mode), s));
+
+      for (const [storageKey, s] of sessions) {
+        const local = SessionStore.get(storageKey);
+        const hasLocal = isValidSession(local);
+        let serverCopy;
+        try {
+          serverCopy = hasLocal ? await SyncClient.push(local) : await SyncClient.pull(s.raterId, s.datasetId, s.mode);
+        } catch (e) {
+          if (!(e.status >= 400 && e.status < 500)) throw e;
+          console.error(`Sync server refused ${storageKey}:`, e);   // shown by the sync status
+          continue;
+        }
+        if (!isValidSession(serverCopy)) continue;
+        await SessionStore.put(storageKey,
+          hasLocal && !local.syncReplace ? SessionMerge.mergeSessions(local, serverCopy) : serverCopy);
+      }
+    } catch (e) {
+      console.warn('Sync server unreachable, working offline:', e);
+    }
   }
 
-  function create(raterId, datasetId, participantIds) {
+  /** A replacing push has reached the server: later pushes merge again. */
+  function clearSyncReplace(storageKey) {
+    if (_state && key(_state.raterId, _state.datasetId, _state.mode) === storageKey) {
+      if (_state.syncReplace) {
+        delete _state.syncReplace;
+        debouncedSave();
+      }
+      return;
+    }
+    const stored = SessionStore.get(storageKey);
+    if (stored && stored.syncReplace) {
+      delete stored.syncReplace;
+      SessionStore.put(storageKey, stored).catch(e => console.warn('Failed to save session:', e));
+    }
+  }
+
+  /** fn(error) is called when writes start failing, fn(null) when they work again. */
+  function onSaveStatus(fn) { _onSaveStatus = fn; }
+
+  // Adjudication (consensus) sessions are kept apart from the adjudicator's own scoring
+  function key(raterId, datasetId, mode) {
+    const prefix = mode === 'adjudication' ? ADJUDICATION_PREFIX : STORAGE_PREFIX;
+    return `${prefix}${raterId}_${datasetId}`;
+  }
+
+  /**
+   * Create a new session. `extra` adds mode-specific fields, e.g.
+   * { mode: 'adjudication', sourceRaters, thresholdMs }.
+   */
+  function create(raterId, datasetId, participantIds, extra = {}) {
     _state = {
       raterId,
       datasetId,
@@ -18,38 +112,99 @@ const State = (() => {
       currentParticipantIndex: 0,
       currentTrialIndex: 0,
       scores: {},
+      deletedScores: {},
       shuffleOrders: {},
+      history: {},
+      ...extra,
       lastSaved: new Date().toISOString()
     };
+    _undoStack = [];
+    _redoStack = [];
     save();
     return _state;
   }
 
-  function load(raterId, datasetId) {
-    try {
-      const data = localStorage.getItem(key(raterId, datasetId));
-      if (data) {
-        const parsed = JSON.parse(data);
-        // Migration: add shuffleOrders if missing
-        if (!parsed.shuffleOrders) parsed.shuffleOrders = {};
-        _state = parsed;
-        return _state;
-      }
-    } catch (e) {
-      console.error('Failed to load state:', e);
+  /** A stored session must at least have these to be usable. */
+  function isValidSession(data) {
+    return data && typeof data === 'object' && data.raterId != null && data.datasetId != null &&
+      Array.isArray(data.assignedParticipants) && data.scores && typeof data.scores === 'object';
+  }
+
+  function migrate(parsed) {
+    // Migration: add shuffleOrders if missing
+    if (!parsed.shuffleOrders) parsed.shuffleOrders = {};
+    if (!parsed.history) parsed.history = {};
+    if (!parsed.deletedScores) parsed.deletedScores = {};
+    return parsed;
+  }
+
+  function load(raterId, datasetId, mode) {
+    const data = SessionStore.get(key(raterId, datasetId, mode));
+    if (!data) return null;
+    if (!isValidSession(data)) {
+      console.error('Stored session is damaged:', key(raterId, datasetId, mode));
+      return null;
     }
-    return null;
+    _state = migrate(data);
+    _undoStack = [];
+    _redoStack = [];
+    return _state;
+  }
+
+  /** True if anything is stored for this session, even if load() rejects it as damaged. */
+  function hasSession(raterId, datasetId, mode) {
+    return SessionStore.has(key(raterId, datasetId, mode));
   }
 
   function get() { return _state; }
 
   function save() {
-    if (!_state) return;
+    if (!_state) return Promise.resolve();
+    if (_saveTimeout) {
+      clearTimeout(_saveTimeout);
+      _saveTimeout = null;
+    }
     _state.lastSaved = new Date().toISOString();
+    const storageKey = key(_state.raterId, _state.datasetId, _state.mode);
+    const saved = _state;
+
+    _writesInFlight++;
+    return SessionStore.put(storageKey, saved).finally(() => {
+      _writesInFlight--;
+    }).then(() => {
+      _writeError = null;
+      if (_writeFailed) {
+        _writeFailed = false;
+        if (_onSaveStatus) _onSaveStatus(null);
+      }
+      SyncClient.schedulePush(storageKey, saved);
+      if (Date.now() - (_lastSnapshotAt.get(storageKey) || 0) >= SNAPSHOT_INTERVAL_MS) {
+        _lastSnapshotAt.set(storageKey, Date.now());
+        SessionStore.addSnapshot(storageKey, saved, SNAPSHOT_LIMIT)
+          .catch(e => console.warn('Failed to store session snapshot:', e));
+      }
+    }).catch(e => {
+      console.error('Failed to save state:', e);
+      _writeError = e;
+      if (!_writeFailed) {
+        _writeFailed = true;
+        if (_onSaveStatus) _onSaveStatus(e);
+      }
+    });
+  }
+
+  /**
+   * The page is being hidden or unloaded: start any pending save and, as the
+   * IndexedDB write may not complete, also write the state synchronously to
+   * localStorage. SessionStore.open() keeps whichever copy is newer on the next load.
+   */
+  function flushSync() {
+    if (!_state || (!_saveTimeout && _writesInFlight === 0)) return;
+    if (_saveTimeout) save();
     try {
-      localStorage.setItem(key(_state.raterId, _state.datasetId), JSON.stringify(_state));
+      SessionStore.putSync(key(_state.raterId, _state.datasetId, _state.mode), _state);
     } catch (e) {
-      console.error('Failed to save state:', e);
+      console.error('Failed to write state on page hide:', e);
     }
   }
 
@@ -70,27 +225,132 @@ const State = (() => {
     return _state.scores[`${participantId}_${trialNum}`] || null;
   }
 
-  function setScore(participantId, trialNum, data) {
+  /**
+   * Merge `data` into a trial's score. Changes to the tracked fields are
+   * appended to the trial's history; rater edits (source 'edit') can be undone.
+   */
+  function setScore(participantId, trialNum, data, source = 'edit') {
     if (!_state) return;
     const scoreKey = `${participantId}_${trialNum}`;
+    const previous = _state.scores[scoreKey] || null;
     _state.scores[scoreKey] = {
-      ...(_state.scores[scoreKey] || {}),
+      ...(previous || {}),
       ...data,
       scoredAt: new Date().toISOString()
     };
+    if (_state.deletedScores) delete _state.deletedScores[scoreKey];
+
+    const prev = historyFields(previous);
+    const next = historyFields(_state.scores[scoreKey]);
+    if (!sameFields(prev, next)) {
+      if (!_state.history) _state.history = {};
+      const coalesced = appendHistory(_state.history, scoreKey, source, prev, next, _state.scores[scoreKey].scoredAt);
+      if (source === 'edit') {
+        const top = _undoStack[_undoStack.length - 1];
+        if (coalesced && top && top.scoreKey === scoreKey) {
+          top.next = next;
+        } else {
+          _undoStack.push({ participantId, trial: trialNum, scoreKey, prev, next });
+          if (_undoStack.length > UNDO_LIMIT) _undoStack.shift();
+        }
+        _redoStack = [];
+      }
+    }
     debouncedSave();
   }
 
+  // ── Edit history / undo ──
+
+  function historyFields(score) {
+    if (!score) return null;
+    const fields = {};
+    HISTORY_FIELDS.forEach(f => { fields[f] = score[f] != null ? score[f] : null; });
+    return fields;
+  }
+
+  function sameFields(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  function changedFields(prev, next) {
+    return HISTORY_FIELDS.filter(f => !sameFields(prev ? prev[f] : null, next ? next[f] : null));
+  }
+
+  /** The text field that is the only change between prev and next, or null. */
+  function textOnlyField(prev, next) {
+    const changed = changedFields(prev, next);
+    return changed.length === 1 && TEXT_FIELDS.includes(changed[0]) ? changed[0] : null;
+  }
+
+  /**
+   * Append { at, source, prev, next } to a trial's entries in `history`
+   * (a session's history object). Returns true if merged into the last entry.
+   */
+  function appendHistory(history, scoreKey, source, prev, next, at) {
+    const entries = history[scoreKey] || (history[scoreKey] = []);
+    const last = entries[entries.length - 1];
+    const textField = textOnlyField(prev, next);
+    if (last && last.source === source && textField && textOnlyField(last.prev, last.next) === textField &&
+        Date.parse(at) - Date.parse(last.at) < TEXT_COALESCE_MS) {
+      last.next = next;
+      last.at = at;
+      return true;
+    }
+    entries.push({ at, source, prev, next });
+    return false;
+  }
+
+  /**
+   * Put a trial's tracked fields back to `fields` (null = unscored, leaving a
+   * tombstone for the sync merge), recording it in the history.
+   */
+  function restoreFields(entry, fields, source) {
+    const current = _state.scores[entry.scoreKey] || null;
+    const at = new Date().toISOString();
+    if (!_state.deletedScores) _state.deletedScores = {};
+    if (fields) {
+      _state.scores[entry.scoreKey] = { ...(current || {}), ...fields, scoredAt: at };
+      delete _state.deletedScores[entry.scoreKey];
+    } else {
+      delete _state.scores[entry.scoreKey];
+      _state.deletedScores[entry.scoreKey] = at;
+    }
+    if (!_state.history) _state.history = {};
+    appendHistory(_state.history, entry.scoreKey, source, historyFields(current), fields, at);
+    save();
+  }
+
+  /** Undo the latest rater edit. Returns { participantId, trial } of the affected trial, or null. */
+  function undo() {
+    if (!_state || _undoStack.length === 0) return null;
+    const entry = _undoStack.pop();
+    restoreFields(entry, entry.prev, 'undo');
+    _redoStack.push(entry);
+    return { participantId: entry.participantId, trial: entry.trial };
+  }
+
+  function redo() {
+    if (!_state || _redoStack.length === 0) return null;
+    const entry = _redoStack.pop();
+    restoreFields(entry, entry.next, 'redo');
+    _undoStack.push(entry);
+    return { participantId: entry.participantId, trial: entry.trial };
+  }
+
+  function getHistory(participantId, trialNum) {
+    if (!_state || !_state.history) return [];
+    return _state.history[`${participantId}_${trialNum}`] || [];
+  }
+
   function getTotalScoredCount() {
     if (!_state) return 0;
-    return Object.values(_state.scores).filter(s => s.accuracy != null).length;
+    return Object.values(_state.scores).filter(Study.isScored).length;
   }
 
   function getParticipantScoredCount(participantId, trials) {
     if (!_state || !trials) return 0;
     return trials.filter(t => {
-      const s = _state.scores[`${participantId}_${t.trial}`];
-      return s && s.accuracy != null;
+      return Study.isScored(_state.scores[`${participantId}_${t.trial}`]);
     }).length;
   }
 
@@ -103,8 +363,10 @@ const State = (() => {
 
   function getOrCreateShuffleOrder(participantId, trialCount) {
     if (!_state) return null;
-    if (_state.shuffleOrders[participantId]) {
-      return _state.shuffleOrders[participantId];
+    // An order for a different trial count (CSV rows fixed or skipped since) is replaced
+    const existing = _state.shuffleOrders[participantId];
+    if (existing && existing.length === trialCount) {
+      return existing;
     }
     // Fisher-Yates shuffle
     const order = Array.from({ length: trialCount }, (_, i) => i);
@@ -122,27 +384,102 @@ const State = (() => {
     return _state.shuffleOrders[participantId] || null;
   }
 
+  // ── Trial queue ──
+
+  /** Remember the active trial queue ({ items, position, filters, order }) or clear it with null. */
+  function setQueue(queue) {
+    if (!_state) return;
+    _state.queue = queue;
+    save();
+  }
+
+  function getQueue() {
+    return _state ? _state.queue || null : null;
+  }
+
+  function setQueuePosition(pos) {
+    if (!_state || !_state.queue) return;
+    _state.queue.position = pos;
+    debouncedSave();
+  }
+
   // ── Session listing ──
 
   function listSessions() {
-    const sessions = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const k = localStorage.key(i);
-      if (k.startsWith(STORAGE_PREFIX)) {
-        try {
-          const data = JSON.parse(localStorage.getItem(k));
-          sessions.push(data);
-        } catch (e) { /* skip */ }
-      }
+    return SessionStore.list(STORAGE_PREFIX).filter(isValidSession);
+  }
+
+  // ── Snapshots ──
+
+  /** Stored snapshots of a session, newest first: [{ id, takenAt, data }]. */
+  function listSnapshots(raterId, datasetId, mode) {
+    return SessionStore.listSnapshots(key(raterId, datasetId, mode));
+  }
+
+  /**
+   * Replace a session with one of its snapshots and make it current.
+   * The session being replaced is snapshotted first, so a restore can be undone.
+   */
+  async function restoreSnapshot(snapshotId, raterId, datasetId, mode) {
+    const snapshot = await SessionStore.getSnapshot(snapshotId);
+    if (!snapshot || !isValidSession(snapshot.data)) throw new Error('Snapshot is missing or damaged');
+    return replaceStored(snapshot.data);
+  }
+
+  /**
+   * Make an imported (replaced or merged) session current. Trials whose
+   * values differ from the stored session get an 'import' history entry.
+   * A merged import is merged on the sync server too (replace: false).
+   */
+  async function importSession(session, { replace = true } = {}) {
+    if (!isValidSession(session)) throw new Error('Imported session is incomplete');
+    const previous = SessionStore.get(key(session.raterId, session.datasetId, session.mode));
+    const prevScores = (previous && previous.scores) || {};
+
+    const state = migrate(session);
+    const at = new Date().toISOString();
+    for (const scoreKey of new Set([...Object.keys(prevScores), ...Object.keys(state.scores)])) {
+      const prev = historyFields(prevScores[scoreKey]);
+      const next = historyFields(state.scores[scoreKey]);
+      if (!sameFields(prev, next)) appendHistory(state.history, scoreKey, 'import', prev, next, at);
     }
-    return sessions;
+    return replaceStored(state, replace);
+  }
+
+  /**
+   * Snapshot the stored copy of `session`, then make `session` current and save it.
+   * syncReplace makes the next push overwrite the sync server's copy instead of
+   * merging with it (a merge would bring back the replaced trials).
+   */
+  async function replaceStored(session, replace = true) {
+    const storageKey = key(session.raterId, session.datasetId, session.mode);
+    const current = SessionStore.get(storageKey);
+    if (current) await SessionStore.addSnapshot(storageKey, current, SNAPSHOT_LIMIT);
+
+    _state = migrate(session);
+    if (replace) _state.syncReplace = true;
+    else delete _state.syncReplace;
+    _undoStack = [];
+    _redoStack = [];
+    await save();
+    // save() reports failures through onSaveStatus; an import or restore must fail visibly too
+    if (_writeError) throw _writeError;
+    return _state;
+  }
+
+  /** Do two scores have the same accuracy, onset, offset, statuses, detector settings, segments, notes, rubric values and transcription? */
+  function isSameScore(a, b) {
+    return sameFields(historyFields(a), historyFields(b));
   }
 
   return {
-    create, load, get, save, debouncedSave, setPosition,
+    init, onSaveStatus,
+    create, load, hasSession, get, save, flushSync, debouncedSave, setPosition,
     getScore, setScore, getTotalScoredCount,
+    undo, redo, getHistory,
     getParticipantScoredCount, isParticipantComplete,
     getOrCreateShuffleOrder, getShuffleOrder,
-    listSessions
+    setQueue, getQueue, setQueuePosition,
+    listSessions, listSnapshots, restoreSnapshot, importSession, isSameScore
   };
 })();
@@ -0,0 +1,224 @@
+/**
+ * study.js - Study definition (study.json)
+ * Words and their glosses, datasets, test types, the score scale, extra
+ * rubric dimensions, per-word scoring notes and the response segment policy. Read by the app and by build/prepare-data.js,
+ * so a new experiment only needs a new study.json.
+ */
+const Study = (() => {
+  const STUDY_VERSION = '1.0.0';
+  const STUDY_URL = 'study.json';
+  // Response segments (false starts, self-corrections) and which one the export uses
+  const SEGMENT_LABELS = [
+    { id: 'false_start', label: 'False start' },
+    { id: 'self_correction', label: 'Self-correction' },
+    { id: 'final_answer', label: 'Final answer' }
+  ];
+  const SEGMENT_POLICIES = [
+    { id: 'trial', label: 'Trial score (ignore segments)' },
+    { id: 'first', label: 'First segment' },
+    { id: 'final', label: 'Final answer (else last segment)' }
+  ];
+  // Keys taken by the scoring shortcuts in app.js (letters in either case), so not usable as score or rubric hotkeys
+  const RESERVED_KEYS = [' ', 'Enter', 'ArrowLeft', 'ArrowRight',
+    'c', 'o', 'r', 'n', 't', 'i', 's', 'q', 'g', '+', '=', '-', '?'];
+
+  let _config = null;
+  let _segmentPolicy = null;   // chosen in the scoring footer (null = segmentPolicy from the config)
+
+  /** Fetch study.json (browser). */
+  async function load() {
+    const resp = await fetch(STUDY_URL, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`Failed to load ${STUDY_URL}`);
+    return init(await resp.json());
+  }
+
+  /** Use an already parsed config (Node, or after load). Throws with a readable message. */
+  function init(config) {
+    validate(config);
+    _config = config;
+    return _config;
+  }
+
+  function validate(config) {
+    const fail = msg => { throw new Error(`study.json: ${msg}`); };
+    if (!config || config.studyVersion !== STUDY_VERSION) {
+      fail(`unsupported studyVersion "${config && config.studyVersion}"`);
+    }
+    if (!config.words || Object.keys(config.words).length === 0) fail('no words');
+    if (!config.testTypes || Object.keys(config.testTypes).length === 0) fail('no testTypes');
+    if (!Array.isArray(config.datasets) || config.datasets.length === 0) fail('no datasets');
+    for (const ds of config.datasets) {
+      if (!ds.id || !config.testTypes[ds.testType]) fail(`dataset "${ds.id}" has unknown testType "${ds.testType}"`);
+    }
+    if (!Array.isArray(config.scoreScale) || config.scoreScale.length === 0) fail('no scoreScale');
+    const keys = new Set();
+    const checkKey = (k) => {
+      if (!k) return;
+      if (RESERVED_KEYS.includes(k.length === 1 ? k.toLowerCase() : k)) {
+        fail(`hotkey "${k}" is reserved for an app shortcut (${RESERVED_KEYS.map(r => r === ' ' ? 'Space' : r).join(' ')})`);
+      }
+      if (keys.has(k)) fail(`hotkey "${k}" is used twice`);
+      keys.add(k);
+    };
+    for (const s of config.scoreScale) {
+      if (s.value !== 'NR' && typeof s.value !== 'number') fail(`score value "${s.value}" must be a number or "NR"`);
+      checkKey(s.key);
+    }
+    const ids = new Set();
+    for (const dim of config.rubric || []) {
+      if (!/^\w+$/.test(dim.id || '') || dim.id === 'accuracy' || ids.has(dim.id)) {
+        fail(`rubric dimension id "${dim.id}" must be unique, made of letters, digits or _ and not "accuracy"`);
+      }
+      ids.add(dim.id);
+      if (!Array.isArray(dim.values) || dim.values.length === 0) fail(`rubric dimension "${dim.id}" has no values`);
+      for (const v of dim.values) {
+        if (typeof v.value !== 'string' && typeof v.value !== 'number') fail(`rubric dimension "${dim.id}" has a value that is not a string or number`);
+        checkKey(v.key);
+      }
+    }
+    if (config.transcriptionPalette && !Array.isArray(config.transcriptionPalette)) fail('transcriptionPalette must be a list');
+    if (!(config.trialsPerParticipant > 0)) fail('trialsPerParticipant must be a positive number');
+    if (config.segmentPolicy && !SEGMENT_POLICIES.some(p => p.id === config.segmentPolicy)) {
+      fail(`segmentPolicy "${config.segmentPolicy}" must be one of ${SEGMENT_POLICIES.map(p => p.id).join(', ')}`);
+    }
+  }
+
+  function get() { return _config; }
+
+  function getWords() {
+    return Object.keys(_config.words);
+  }
+
+  /** Gloss of a (accent-stripped) word in a language ('en', 'ja', ...); defaults to the answer language. */
+  function getWordGloss(word, lang) {
+    const entry = _config.words[word];
+    return (entry && entry.gloss && entry.gloss[lang || _config.answerLanguage]) || '';
+  }
+
+  /** Scoring note shown with a word (e.g. accepted dialect variants), or ''. */
+  function getWordNote(word) {
+    const entry = _config.words[word];
+    return (entry && entry.scoringNote) || '';
+  }
+
+  /** Sound groups counted as the same when scoring this word, e.g. [['θ', 's']]. */
+  function getWordEquivalents(word) {
+    const entry = _config.words[word];
+    return (entry && entry.equivalentSounds) || [];
+  }
+
+  function getTestType(testType) {
+    return _config.testTypes[testType] || {};
+  }
+
+  function getDatasets() {
+    return _config.datasets;
+  }
+
+  /** [{ value, label, key, title, color }] in button order. */
+  function getScoreScale() {
+    return _config.scoreScale;
+  }
+
+  function findScoreByKey(key) {
+    return _config.scoreScale.find(s => s.key === key) || null;
+  }
+
+  /** Extra scoring dimensions: [{ id, label, values: [{ value, label, key, title, color }] }]. */
+  function getRubric() {
+    return _config.rubric || [];
+  }
+
+  /** { dimension, value } for a rubric hotkey, or null. */
+  function findRubricByKey(key) {
+    for (const dimension of getRubric()) {
+      const value = dimension.values.find(v => v.key === key);
+      if (value) return { dimension, value };
+    }
+    return null;
+  }
+
+  function findScore(value) {
+    return _config.scoreScale.find(s => s.value === value) || null;
+  }
+
+  /** Characters offered below the transcription field (IPA, accented letters). */
+  function getTranscriptionPalette() {
+    return _config.transcriptionPalette || [];
+  }
+
+  /** A rubric value as stored in a button's data attribute, back in its configured type. */
+  function parseRubricValue(dimensionId, raw) {
+    const dimension = getRubric().find(d => d.id === dimensionId);
+    const value = dimension && dimension.values.find(v => String(v.value) === raw);
+    return value ? value.value : null;
+  }
+
+  /** Parse a score as stored in button data attributes or filters ("NR", "0.5"). */
+  function parseScore(raw) {
+    return raw === 'NR' ? 'NR' : parseFloat(raw);
+  }
+
+  function getTrialsPerParticipant() {
+    return _config.trialsPerParticipant;
+  }
+
+  /** Segment policy in use: 'trial', 'first' or 'final' (chosen in the scoring footer, else the study default). */
+  function getSegmentPolicy() {
+    return _segmentPolicy || _config.segmentPolicy || 'trial';
+  }
+
+  function setSegmentPolicy(policy) {
+    _segmentPolicy = policy || null;
+  }
+
+  /**
+   * The response segment that stands for the trial under a segment policy:
+   * 'first' = earliest onset, 'final' = the last one labelled final_answer (else the last one).
+   * Returns null for 'trial' or a trial without segments (the trial-level score is used).
+   */
+  function selectSegment(segments, policy = getSegmentPolicy()) {
+    if (!segments || segments.length === 0 || policy === 'trial') return null;
+    const sorted = segments.slice().sort((a, b) => a.onsetMs - b.onsetMs);
+    if (policy === 'first') return sorted[0];
+    return sorted.filter(seg => seg.label === 'final_answer').pop() || sorted[sorted.length - 1];
+  }
+
+  /**
+   * Segments sorted by onset with a newly marked, unscored attempt added. If it is
+   * the latest attempt it becomes the final answer (a previous final answer becomes
+   * a self-correction); an attempt marked before it is a self-correction.
+   */
+  function addSegment(segments, span) {
+    const isLatest = segments.every(seg => seg.onsetMs <= span.onsetMs);
+    const kept = segments.map(seg => (isLatest && seg.label === 'final_answer' ? { ...seg, label: 'self_correction' } : seg));
+    return [...kept, { ...span, accuracy: null, label: isLatest ? 'final_answer' : 'self_correction' }]
+      .sort((a, b) => a.onsetMs - b.onsetMs);
+  }
+
+  /**
+   * A score as exports, reliability, adjudication, the grid and queues read it:
+   * accuracy, onset and offset of the policy's segment ({ ...score, segment }),
+   * or the score itself when there is no such segment or it has no accuracy yet.
+   */
+  function scoreResponse(score, policy = getSegmentPolicy()) {
+    const segment = score ? selectSegment(score.segments, policy) : null;
+    if (!segment || segment.accuracy == null) return score;
+    return { ...score, accuracy: segment.accuracy, onsetMs: segment.onsetMs, offsetMs: segment.offsetMs, segment };
+  }
+
+  /** Does a score have an accuracy under the segment policy? */
+  function isScored(score) {
+    return !!score && scoreResponse(score).accuracy != null;
+  }
+
+  return {
+    load, init, get, getWords, getWordGloss, getWordNote, getWordEquivalents, getTestType, getDatasets,
+    getScoreScale, findScoreByKey, findScore, parseScore, getTrialsPerParticipant,
+    getRubric, findRubricByKey, parseRubricValue, getTranscriptionPalette,
+    SEGMENT_LABELS, SEGMENT_POLICIES, getSegmentPolicy, setSegmentPolicy, selectSegment, addSegment,
+    scoreResponse, isScored
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Study;
@@ -0,0 +1,126 @@
+/**
+ * sync-client.js - Session sync with build/sync-server.js
+ * Enabled only when the site is served by the sync server (api/health
+ * answers); otherwise the app stays local-only. Pushes are debounced and
+ * retried while the server is unreachable; local storage is always written first.
+ */
+const SyncClient = (() => {
+  const API_ROOT = 'api';
+  const PUSH_DELAY_MS = 2000;
+  const RETRY_DELAY_MS = 30000;
+
+  let _enabled = false;
+  let _pending = new Map();   // storage key -> session waiting to be pushed
+  let _timer = null;
+  let _onStatus = null;
+  let _onPushed = null;
+
+  /** Probe the server. Returns true if sync is available. */
+  async function init() {
+    try {
+      const resp = await fetch(`${API_ROOT}/health`, { cache: 'no-store' });
+      _enabled = resp.ok && (await resp.json()).ok === true;
+    } catch (e) {
+      _enabled = false;
+    }
+    return _enabled;
+  }
+
+  function isEnabled() { return _enabled; }
+
+  /**
+   * fn(status, message) with 'synced', 'pending', 'offline' or 'rejected'
+   * (the server refused a session; message says why).
+   */
+  function onStatus(fn) { _onStatus = fn; }
+
+  /** fn(storageKey) after a session flagged syncReplace has overwritten the server copy. */
+  function onPushed(fn) { _onPushed = fn; }
+
+  function setStatus(status, message) {
+    if (_onStatus) _onStatus(status, message);
+  }
+
+  function sessionUrl(raterId, datasetId, mode, replace) {
+    const params = new URLSearchParams();
+    if (mode === 'adjudication') params.set('mode', 'adjudication');
+    if (replace) params.set('replace', 'true');
+    const query = params.toString() ? `?${params}` : '';
+    return `${API_ROOT}/sessions/${encodeURIComponent(raterId)}/${encodeURIComponent(datasetId)}${query}`;
+  }
+
+  async function request(url, options) {
+    const resp = await fetch(url, { cache: 'no-store', ...options });
+    if (resp.status === 404) return null;
+    if (!resp.ok) {
+      const body = await resp.json().catch(() => ({}));
+      const error = new Error(`Sync server: ${body.error || `HTTP ${resp.status}`}`);
+      error.status = resp.status;
+      // A refused request fails the same way every time
+      if (resp.status >= 400 && resp.status < 500) setStatus('rejected', error.message);
+      throw error;
+    }
+    return resp.json();
+  }
+
+  /** Server-side session summaries: [{ raterId, datasetId, mode, lastSaved, scored }]. */
+  function listSessions() {
+    return request(`${API_ROOT}/sessions`);
+  }
+
+  function pull(raterId, datasetId, mode) {
+    return request(sessionUrl(raterId, datasetId, mode));
+  }
+
+  /**
+   * Send a session; resolves to the server's merged copy. A session flagged
+   * syncReplace (an import or restore) overwrites the server copy instead.
+   */
+  function push(session) {
+    return request(sessionUrl(session.raterId, session.datasetId, session.mode, session.syncReplace), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(session)
+    });
+  }
+
+  /** Queue a session for pushing (latest copy per storage key wins). */
+  function schedulePush(storageKey, session) {
+    if (!_enabled) return;
+    _pending.set(storageKey, JSON.parse(JSON.stringify(session)));
+    setStatus('pending');
+    if (_timer) clearTimeout(_timer);
+    _timer = setTimeout(flush, PUSH_DELAY_MS);
+  }
+
+  async function flush() {
+    _timer = null;
+    const batch = _pending;
+    _pending = new Map();
+    let rejected = false;
+    try {
+      for (const [storageKey, session] of batch) {
+        try {
+          await push(session);
+          if (session.syncReplace && _onPushed) _onPushed(storageKey);
+        } catch (e) {
+          if (!(e.status >= 400 && e.status < 500)) throw e;
+          console.error('Sync server refused session, not retrying:', e);
+          rejected = true;
+        }
+        batch.delete(storageKey);
+      }
+      if (_pending.size === 0 && !rejected) setStatus('synced');
+    } catch (e) {
+      console.warn('Sync failed, keeping changes locally:', e);
+      // Keep unsent sessions unless a newer copy was queued meanwhile
+      for (const [storageKey, session] of batch) {
+        if (!_pending.has(storageKey)) _pending.set(storageKey, session);
+      }
+      setStatus('offline');
+      if (!_timer) _timer = setTimeout(flush, RETRY_DELAY_MS);
+    }
+  }
+
+  return { init, isEnabled, onStatus, onPushed, listSessions, pull, push, schedulePush };
+})();
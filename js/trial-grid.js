@@ -0,0 +1,129 @@
+/**
+ * trial-grid.js - Participant × word overview of the current session
+ * Cells are colored by accuracy and badged by onset status; clicking a
+ * cell navigates to that trial.
+ */
+const TrialGrid = (() => {
+  const ONSET_BADGES = {
+    confirmed: 'C', corrected: 'D', manual: 'M', no_speech: 'N', redetected: 'R'
+  };
+  const SORT_MODES = ['assigned', 'least-complete', 'most-complete'];
+
+  let _dataset = null;
+  let _participants = [];
+  let _sortMode = 'assigned';
+  let _overlay = null;
+
+  async function open(dataset) {
+    if (_overlay || !State.get()) return;
+    _dataset = dataset;
+    ScoringUI.saveCurrentScore();
+
+    _overlay = document.createElement('div');
+    _overlay.className = 'export-popup-overlay';
+    _overlay.innerHTML = '<div class="export-popup grid-popup"><h3>Trial Overview</h3><p>Loading participants...</p></div>';
+    _overlay.addEventListener('click', (e) => { if (e.target === _overlay) close(); });
+    document.body.appendChild(_overlay);
+
+    _participants = [];
+    for (const pid of State.get().assignedParticipants) {
+      try {
+        _participants.push(await CsvLoader.loadParticipant(_dataset.id, pid));
+      } catch (e) {
+        console.warn(`Trial grid: participant ${pid} unavailable:`, e);
+      }
+    }
+    if (!_overlay) return;
+    render();
+  }
+
+  function close() {
+    if (_overlay) _overlay.remove();
+    _overlay = null;
+  }
+
+  function toggle(dataset) {
+    _overlay ? close() : open(dataset);
+  }
+
+  function sortedParticipants() {
+    const withCounts = _participants.map((p, i) => ({
+      p, i, scored: State.getParticipantScoredCount(p.id, p.trials) / (p.trials.length || 1)
+    }));
+    if (_sortMode === 'least-complete') withCounts.sort((a, b) => a.scored - b.scored || a.i - b.i);
+    if (_sortMode === 'most-complete') withCounts.sort((a, b) => b.scored - a.scored || a.i - b.i);
+    return withCounts.map(x => x.p);
+  }
+
+  /** Cell class and inline color from the study's score scale. */
+  function accuracyStyle(score) {
+    if (!score || score.accuracy == null) return { cls: 'grid-unscored', style: '' };
+    const scale = Study.findScore(score.accuracy);
+    return { cls: 'grid-scored', style: scale && scale.color ? ` style="background: ${scale.color}"` : '' };
+  }
+
+  function render() {
+    // Columns in study.json word order; words missing from the config go last
+    const order = Study.getWords();
+    const rank = w => (order.indexOf(w) + 1) || order.length + 1;
+    const words = Array.from(new Set(_participants.flatMap(p => p.trials.map(t => t.wordNormalized))))
+      .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+    const current = Navigation.getCurrentTrial();
+    const currentP = Navigation.getCurrentParticipant();
+
+    let html = `<div class="grid-toolbar">
+        <h3>Trial Overview</h3>
+        <label>Sort:
+          <select class="grid-sort">
+            <option value="assigned"${_sortMode === 'assigned' ? ' selected' : ''}>Assigned order</option>
+            <option value="least-complete"${_sortMode === 'least-complete' ? ' selected' : ''}>Least complete first</option>
+            <option value="most-complete"${_sortMode === 'most-complete' ? ' selected' : ''}>Most complete first</option>
+          </select>
+        </label>
+        <span class="muted">C confirmed · D corrected · M manual · N no speech · R re-detected</span>
+        <button class="btn btn-sm grid-close">Close</button>
+      </div>
+      <div class="grid-scroll"><table class="trial-grid"><thead><tr><th>P</th><th>Done</th>
+        ${words.map(w => `<th title="${HtmlUtil.escapeHtml(w)}">${HtmlUtil.escapeHtml(w)}</th>`).join('')}</tr></thead><tbody>`;
+
+    for (const p of sortedParticipants()) {
+      const byWord = new Map(p.trials.map(t => [t.wordNormalized, t]));
+      html += `<tr><th>${HtmlUtil.escapeHtml(p.id)}</th><td>${State.getParticipantScoredCount(p.id, p.trials)}/${p.trials.length}</td>`;
+      for (const w of words) {
+        const t = byWord.get(w);
+        if (!t) { html += '<td class="grid-missing"></td>'; continue; }
+        const score = Study.scoreResponse(State.getScore(p.id, t.trial));
+        const badge = score && score.onsetStatus ? ONSET_BADGES[score.onsetStatus] || '' : '';
+        const isCurrent = currentP && current && currentP.id === p.id && current.trial === t.trial;
+        const { cls, style } = accuracyStyle(score);
+        html += `<td class="grid-cell ${cls}${isCurrent ? ' grid-current' : ''}"${style}
+          data-pid="${HtmlUtil.escapeHtml(p.id)}" data-trial="${t.trial}"
+          title="P${HtmlUtil.escapeHtml(p.id)} trial ${t.trial} ${HtmlUtil.escapeHtml(t.word)}: ${score && score.accuracy != null ? score.accuracy : 'unscored'}${score && score.onsetStatus ? ` (${score.onsetStatus})` : ''}">${badge}</td>`;
+      }
+      html += '</tr>';
+    }
+    html += '</tbody></table></div>';
+
+    const popup = _overlay.querySelector('.grid-popup');
+    popup.innerHTML = html;
+    popup.querySelector('.grid-close').addEventListener('click', close);
+    popup.querySelector('.grid-sort').addEventListener('change', (e) => {
+      _sortMode = SORT_MODES.includes(e.target.value) ? e.target.value : 'assigned';
+      render();
+    });
+    popup.querySelectorAll('.grid-cell').forEach(cell => {
+      cell.addEventListener('click', () => goTo(cell.dataset.pid, parseInt(cell.dataset.trial)));
+    });
+  }
+
+  function goTo(participantId, trialNum) {
+    const queue = Navigation.getQueue();
+    if (queue && !queue.some(q => q.participantId === participantId && q.trial === trialNum)) {
+      Navigation.clearQueue();
+    }
+    close();
+    Navigation.navigateToTrial(participantId, trialNum);
+  }
+
+  return { open, close, toggle };
+})();
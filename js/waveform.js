@@ -1,17 +1,26 @@
 /**
  * waveform.js - WaveSurfer.js wrapper with Praat-style zoom,
- * minimap, timeline, and onset marker management.
+ * minimap, timeline, and onset/offset marker management.
  */
 const WaveformViewer = (() => {
   let wavesurfer = null;
   let regionsPlugin = null;
   let minimapPlugin = null;
   let timelinePlugin = null;
+  let spectrogramPlugin = null;
   let onsetRegion = null;
+  let offsetRegion = null;
   let referenceRegion = null;
+  let playbackEndRegion = null;
+  let raterRegions = [];
+  let segmentRegions = [];
+  let candidateRegion = null;
   let _onOnsetChanged = null;
-  let _clickToSetEnabled = false;
+  let _onOffsetChanged = null;
+  let _onReferenceChanged = null;
+  let _clickToSet = null;   // 'onset' | 'offset' | 'reference' while Manual Set waits for a click
   let _currentOnsetMs = null;
+  let _currentOffsetMs = null;
 
   // Zoom state
   let _zoomLevel = 1;
@@ -21,6 +30,11 @@ const WaveformViewer = (() => {
 
   const containerEl = '#waveform-container';
 
+  // Spectrogram settings (window length in ms, dynamic range in dB)
+  const SPECTROGRAM_PREFS_KEY = 'vocabScorerPrefs_spectrogram';
+  const DEFAULT_SAMPLE_RATE = 22050;
+  let _spectrogram = loadSpectrogramPrefs();
+
   function init() {
     if (wavesurfer) wavesurfer.destroy();
 
@@ -34,6 +48,9 @@ const WaveformViewer = (() => {
       barWidth: 2,
       barGap: 1,
       minPxPerSec: BASE_PX_PER_SEC,
+      // Decode at the MP3 rate (WaveSurfer defaults to 8 kHz) so the
+      // spectrogram and onset re-detection see the full signal
+      sampleRate: DEFAULT_SAMPLE_RATE,
       autoScroll: true,
       autoCenter: true
     });
@@ -75,10 +92,15 @@ const WaveformViewer = (() => {
     wavesurfer.on('audioprocess', updateTimeDisplay);
     wavesurfer.on('seeking', updateTimeDisplay);
     wavesurfer.on('interaction', (time) => {
-      if (_clickToSetEnabled) {
-        const clickMs = time * 1000;
+      const clickMs = time * 1000;
+      if (_clickToSet === 'onset') {
         setOnsetMarker(clickMs);
         if (_onOnsetChanged) _onOnsetChanged(clickMs, 'manual');
+      } else if (_clickToSet === 'offset') {
+        setOffsetMarker(clickMs);
+        if (_onOffsetChanged) _onOffsetChanged(clickMs, 'manual');
+      } else if (_clickToSet === 'reference') {
+        if (_onReferenceChanged) _onReferenceChanged(clickMs);
       }
     });
 
@@ -86,6 +108,9 @@ const WaveformViewer = (() => {
     _zoomLevel = 1;
     updateZoomDisplay();
 
+    spectrogramPlugin = null;
+    applySpectrogram();
+
     // Zoom button listeners
     const zoomInBtn = document.getElementById('zoom-in');
     const zoomOutBtn = document.getElementById('zoom-out');
@@ -133,13 +158,77 @@ const WaveformViewer = (() => {
     if (el) el.textContent = `${_zoomLevel.toFixed(1)}x`;
   }
 
+  // ── Spectrogram ──
+
+  function loadSpectrogramPrefs() {
+    const defaults = { enabled: false, windowMs: 5, rangeDb: 70 };
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem(SPECTROGRAM_PREFS_KEY) || '{}') };
+    } catch (e) {
+      return defaults;
+    }
+  }
+
+  /** Update spectrogram settings ({ enabled, windowMs, rangeDb }) and redraw. */
+  function setSpectrogramOptions(options) {
+    _spectrogram = { ..._spectrogram, ...options };
+    try {
+      localStorage.setItem(SPECTROGRAM_PREFS_KEY, JSON.stringify(_spectrogram));
+    } catch (e) { /* preferences are optional */ }
+    applySpectrogram();
+  }
+
+  function getSpectrogramOptions() { return { ..._spectrogram }; }
+
+  function toggleSpectrogram() {
+    setSpectrogramOptions({ enabled: !_spectrogram.enabled });
+  }
+
+  /**
+   * (Re)create the spectrogram plugin. It renders inside the waveform
+   * wrapper, so it scrolls and zooms with the waveform and the onset
+   * region stays draggable on top of it.
+   */
+  function applySpectrogram() {
+    if (spectrogramPlugin) {
+      spectrogramPlugin.destroy();
+      spectrogramPlugin = null;
+    }
+    const btn = document.getElementById('spectrogram-toggle');
+    if (btn) btn.classList.toggle('active', _spectrogram.enabled);
+    if (!wavesurfer || !_spectrogram.enabled) return;
+    if (!WaveSurfer.Spectrogram) {
+      console.warn('Spectrogram plugin not available');
+      return;
+    }
+
+    const decoded = wavesurfer.getDecodedData();
+    const sampleRate = decoded ? decoded.sampleRate : DEFAULT_SAMPLE_RATE;
+    const windowSamples = Math.max(2, Math.round(sampleRate * _spectrogram.windowMs / 1000));
+    let fftSize = 512;
+    while (fftSize < windowSamples) fftSize *= 2;
+
+    spectrogramPlugin = wavesurfer.registerPlugin(
+      WaveSurfer.Spectrogram.create({
+        labels: true,
+        height: 160,
+        fftSamples: windowSamples,
+        fftSize,
+        windowFunc: 'hann',
+        rangeDB: _spectrogram.rangeDb
+      })
+    );
+    if (decoded) wavesurfer.zoom(_zoomLevel * BASE_PX_PER_SEC);
+  }
+
   // ── Audio Loading ──
 
   async function loadAudio(url) {
     if (!wavesurfer) init();
     clearMarkers();
-    _clickToSetEnabled = false;
+    _clickToSet = null;
     _currentOnsetMs = null;
+    _currentOffsetMs = null;
     _zoomLevel = 1;
     updateZoomDisplay();
 
@@ -161,7 +250,12 @@ const WaveformViewer = (() => {
       regionsPlugin.clearRegions();
     }
     onsetRegion = null;
+    offsetRegion = null;
     referenceRegion = null;
+    playbackEndRegion = null;
+    raterRegions = [];
+    segmentRegions = [];
+    candidateRegion = null;
   }
 
   function setOnsetMarker(onsetMs) {
@@ -196,12 +290,46 @@ const WaveformViewer = (() => {
     updateOnsetDisplay(onsetMs);
   }
 
+  /** Draggable end-of-response marker (blue), the counterpart of the onset marker. */
+  function setOffsetMarker(offsetMs) {
+    if (offsetRegion) {
+      offsetRegion.remove();
+      offsetRegion = null;
+    }
+
+    if (offsetMs == null || isNaN(offsetMs)) return;
+
+    _currentOffsetMs = offsetMs;
+    const duration = wavesurfer.getDuration();
+    const startSec = offsetMs / 1000;
+
+    if (startSec > duration) return;
+
+    offsetRegion = regionsPlugin.addRegion({
+      start: startSec,
+      end: Math.min(startSec + 0.005, duration),
+      color: 'rgba(60, 120, 255, 0.8)',
+      drag: true,
+      resize: false
+    });
+
+    offsetRegion.on('update-end', () => {
+      const newMs = offsetRegion.start * 1000;
+      _currentOffsetMs = newMs;
+      updateOffsetDisplay(newMs);
+      if (_onOffsetChanged) _onOffsetChanged(newMs, 'corrected');
+    });
+
+    updateOffsetDisplay(offsetMs);
+  }
+
+  /** Green reference marker: the point latencies are measured from (label shown on the marker). */
   function setReferenceMarker(ms, label) {
-    if (ms == null || isNaN(ms)) return;
     if (referenceRegion) {
       referenceRegion.remove();
       referenceRegion = null;
     }
+    if (!wavesurfer || ms == null || isNaN(ms)) return;
     const duration = wavesurfer.getDuration();
     const startSec = ms / 1000;
     if (startSec > duration) return;
@@ -210,11 +338,112 @@ const WaveformViewer = (() => {
       start: startSec,
       end: Math.min(startSec + 0.005, duration),
       color: 'rgba(50, 200, 50, 0.6)',
+      content: label,
+      drag: false,
+      resize: false
+    });
+  }
+
+  /** Faint marker at the uncorrected playback end from the CSV (null clears it). */
+  function setPlaybackEndMarker(ms) {
+    if (playbackEndRegion) {
+      playbackEndRegion.remove();
+      playbackEndRegion = null;
+    }
+    if (!wavesurfer || ms == null || isNaN(ms)) return;
+    const duration = wavesurfer.getDuration();
+    const startSec = ms / 1000;
+    if (startSec > duration) return;
+
+    playbackEndRegion = regionsPlugin.addRegion({
+      start: startSec,
+      end: Math.min(startSec + 0.003, duration),
+      color: 'rgba(50, 200, 50, 0.25)',
+      content: 'CSV end',
       drag: false,
       resize: false
     });
   }
 
+  /**
+   * Show other raters' onsets as fixed, labelled markers
+   * (adjudication). markers: [{ label, ms, color }].
+   */
+  function setRaterMarkers(markers) {
+    raterRegions.forEach(r => r.remove());
+    raterRegions = [];
+    if (!wavesurfer) return;
+    const duration = wavesurfer.getDuration();
+
+    for (const m of markers || []) {
+      if (m.ms == null || isNaN(m.ms)) continue;
+      const startSec = m.ms / 1000;
+      if (startSec > duration) continue;
+      raterRegions.push(regionsPlugin.addRegion({
+        start: startSec,
+        end: Math.min(startSec + 0.004, duration),
+        color: m.color,
+        content: m.label,
+        drag: false,
+        resize: false
+      }));
+    }
+  }
+
+  /**
+   * Shade the rater's response segments (fixed, labelled spans).
+   * segments: [{ label, startMs, endMs }]; endMs null draws a thin marker.
+   */
+  function setSegmentRegions(segments) {
+    segmentRegions.forEach(r => r.remove());
+    segmentRegions = [];
+    if (!wavesurfer) return;
+    const duration = wavesurfer.getDuration();
+
+    for (const seg of segments || []) {
+      if (seg.startMs == null || isNaN(seg.startMs)) continue;
+      const startSec = seg.startMs / 1000;
+      if (startSec > duration) continue;
+      const endSec = seg.endMs != null && seg.endMs > seg.startMs ? seg.endMs / 1000 : startSec + 0.005;
+      segmentRegions.push(regionsPlugin.addRegion({
+        start: startSec,
+        end: Math.min(endSec, duration),
+        color: 'rgba(255, 200, 0, 0.18)',
+        content: seg.label,
+        drag: false,
+        resize: false
+      }));
+    }
+  }
+
+  /** Preview marker for a re-detected onset candidate (null clears it). */
+  function setCandidateMarker(ms) {
+    if (candidateRegion) {
+      candidateRegion.remove();
+      candidateRegion = null;
+    }
+    if (!wavesurfer || ms == null || isNaN(ms)) return;
+    const duration = wavesurfer.getDuration();
+    const startSec = ms / 1000;
+    if (startSec > duration) return;
+
+    candidateRegion = regionsPlugin.addRegion({
+      start: startSec,
+      end: Math.min(startSec + 0.005, duration),
+      color: 'rgba(255, 165, 0, 0.8)',
+      content: 'candidate',
+      drag: false,
+      resize: false
+    });
+  }
+
+  /** First channel of the decoded audio, or null before loading. */
+  function getDecodedAudio() {
+    const decoded = wavesurfer ? wavesurfer.getDecodedData() : null;
+    if (!decoded) return null;
+    return { samples: decoded.getChannelData(0), sampleRate: decoded.sampleRate };
+  }
+
   function updateOnsetDisplay(ms) {
     const el = document.getElementById('onset-display');
     if (el) el.textContent = ms != null ? `Onset: ${ms.toFixed(1)} ms` : 'Onset: -- ms';
@@ -222,11 +451,20 @@ const WaveformViewer = (() => {
     if (input && ms != null) input.value = ms.toFixed(1);
   }
 
-  function enableClickToSet(enabled) {
-    _clickToSetEnabled = enabled;
+  function updateOffsetDisplay(ms) {
+    const el = document.getElementById('offset-display');
+    if (el) el.textContent = ms != null ? `Offset: ${ms.toFixed(1)} ms` : 'Offset: -- ms';
+    const input = document.getElementById('offset-ms-input');
+    if (input && ms != null) input.value = ms.toFixed(1);
+  }
+
+  /** Let the next waveform click set a marker (marker: 'onset' | 'offset' | 'reference'). */
+  function enableClickToSet(enabled, marker = 'onset') {
+    if (enabled) _clickToSet = marker;
+    else if (_clickToSet === marker) _clickToSet = null;
     const container = document.querySelector(containerEl);
     if (container) {
-      container.style.cursor = enabled ? 'crosshair' : 'default';
+      container.style.cursor = _clickToSet ? 'crosshair' : 'default';
     }
   }
 
@@ -241,25 +479,38 @@ const WaveformViewer = (() => {
     wavesurfer.play(sec);
   }
 
+  /** Play startMs..endMs (to the end if endMs is null). */
+  function playRange(startMs, endMs) {
+    if (!wavesurfer || startMs == null) return;
+    wavesurfer.play(startMs / 1000, endMs != null ? endMs / 1000 : undefined);
+  }
+
   function setPlaybackRate(rate) {
     if (wavesurfer) wavesurfer.setPlaybackRate(rate);
   }
 
   function isPlaying() { return wavesurfer ? wavesurfer.isPlaying() : false; }
   function getCurrentOnsetMs() { return _currentOnsetMs; }
+  function getCurrentOffsetMs() { return _currentOffsetMs; }
 
   function onOnsetChanged(fn) { _onOnsetChanged = fn; }
+  function onOffsetChanged(fn) { _onOffsetChanged = fn; }
+  function onReferenceChanged(fn) { _onReferenceChanged = fn; }
 
   function destroy() {
     if (wavesurfer) { wavesurfer.destroy(); wavesurfer = null; }
     minimapPlugin = null;
     timelinePlugin = null;
+    spectrogramPlugin = null;
   }
 
   return {
-    init, loadAudio, setOnsetMarker, setReferenceMarker, clearMarkers,
-    enableClickToSet, play, stop, playFromOnset, setPlaybackRate,
-    isPlaying, getCurrentOnsetMs, onOnsetChanged, updateOnsetDisplay,
-    zoomIn, zoomOut, zoomReset, destroy
+    init, loadAudio, setOnsetMarker, setOffsetMarker, setReferenceMarker, setPlaybackEndMarker, setRaterMarkers,
+    setCandidateMarker, setSegmentRegions, getDecodedAudio, clearMarkers,
+    enableClickToSet, play, stop, playFromOnset, playRange, setPlaybackRate,
+    isPlaying, getCurrentOnsetMs, getCurrentOffsetMs, onOnsetChanged, onOffsetChanged, onReferenceChanged,
+    updateOnsetDisplay, updateOffsetDisplay,
+    zoomIn, zoomOut, zoomReset, destroy,
+    setSpectrogramOptions, getSpectrogramOptions, toggleSpectrogram
   };
 })();
@@ -0,0 +1,19 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const Study = require('../js/study.js');
+
+test('addSegment makes a later attempt the final answer', () => {
+  const segments = Study.addSegment([{ onsetMs: 500, offsetMs: 800, accuracy: 0, label: 'final_answer' }],
+    { onsetMs: 1200, offsetMs: 1600 });
+  assert.deepStrictEqual(segments.map(seg => [seg.onsetMs, seg.label]),
+    [[500, 'self_correction'], [1200, 'final_answer']]);
+});
+
+test('addSegment keeps the final answer when an earlier attempt is added afterwards', () => {
+  const latest = { onsetMs: 1200, offsetMs: 1600, accuracy: 1, label: 'final_answer' };
+  const segments = Study.addSegment([latest], { onsetMs: 500, offsetMs: 800 });
+  assert.deepStrictEqual(segments.map(seg => [seg.onsetMs, seg.label]),
+    [[500, 'self_correction'], [1200, 'final_answer']]);
+  assert.strictEqual(Study.selectSegment(segments, 'final'), latest);
+});